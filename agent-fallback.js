@@ -0,0 +1,54 @@
+import Twilio from "twilio";
+
+// The last resort when the bridge loses ElevenLabs and can't reconnect: the
+// caller hears AGENT_FALLBACK_MESSAGE and is then transferred to a person if
+// TRANSFER_NUMBER or TRANSFER_QUEUE is set, or hung up on otherwise. Both
+// replace the call's TwiML, so they need Twilio credentials; without them
+// the stream is just closed, which hangs up.
+
+const { VoiceResponse } = Twilio.twiml;
+
+const FALLBACK_SUMMARY = "The assistant lost its connection during the call.";
+
+export function createAgentFallback({ reconnect }, { twilioClient, transfers }) {
+  function hangupTwiml() {
+    const response = new VoiceResponse();
+    if (reconnect.fallbackMessage) response.say(reconnect.fallbackMessage);
+    response.hangup();
+    return response.toString();
+  }
+
+  async function takeOver(bridge, { baseUrl }) {
+    const { callSid } = bridge;
+
+    if (!twilioClient) {
+      bridge.end("error", "agent_lost");
+      return;
+    }
+
+    if (transfers.enabled) {
+      try {
+        await transfers.transferCall(callSid, {
+          summary: FALLBACK_SUMMARY,
+          transcript: bridge.transcript,
+          baseUrl,
+          message: reconnect.fallbackMessage,
+        });
+        bridge.end("transfer", "agent_lost");
+        return;
+      } catch {
+        // Hang up with the message instead
+      }
+    }
+
+    try {
+      await twilioClient.calls(callSid).update({ twiml: hangupTwiml() });
+      bridge.end("fallback", "agent_lost");
+    } catch (error) {
+      console.error(`[Fallback] Could not play the fallback message on ${callSid}:`, error.message);
+      bridge.end("error", "agent_lost");
+    }
+  }
+
+  return { takeOver };
+}
@@ -0,0 +1,109 @@
+// Gets ElevenLabs ready for an outbound call while it is still ringing, so
+// the callee doesn't wait on two HTTP round trips after picking up.
+//
+//   - Agent configurations (for the prompt re-sent in authenticated mode) are
+//     cached per agent id for AGENT_CONFIG_CACHE_SECONDS and shared by calls.
+//     invalidate() drops them, e.g. after the agent was edited.
+//   - Signed URLs are fetched per call, since every conversation needs its
+//     own, and kept under the call's session id until its stream starts.
+//
+// prewarm(key) starts both; conversationUrl(key) and agentPrompt(key) take
+// what it fetched, or fetch it then and there if nothing was prewarmed.
+// Failed fetches are never cached.
+
+// Signed URLs are valid for 15 minutes; stop handing them out well before
+const SIGNED_URL_TTL_MS = 10 * 60 * 1000;
+
+export function createAgentWarmup(config, { elevenLabs }) {
+  const cacheMs = config.elevenLabs.agentCacheSeconds * 1000;
+  // agentId -> { promise, expiresAt }
+  const agentConfigs = new Map();
+  // key -> { url, agentConfig } promises for one call
+  const prewarmed = new Map();
+
+  function agentConfig(agentId = config.elevenLabs.agentId) {
+    const cached = agentConfigs.get(agentId);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = elevenLabs.fetchAgentConfig(agentId);
+    const entry = { promise, expiresAt: Date.now() + cacheMs };
+    agentConfigs.set(agentId, entry);
+    promise.catch(() => {
+      if (agentConfigs.get(agentId) === entry) agentConfigs.delete(agentId);
+    });
+    return promise;
+  }
+
+  // Without an agent id every cached configuration goes. Returns how many
+  // were dropped.
+  function invalidate(agentId) {
+    if (!agentId) {
+      const count = agentConfigs.size;
+      agentConfigs.clear();
+      return count;
+    }
+    return agentConfigs.delete(agentId) ? 1 : 0;
+  }
+
+  // Nothing is fetched for normal mode (a fixed URL, no API key) and the
+  // agent configuration only for authenticated mode, which needs its prompt
+  function prewarm(key, { mode, agentId }) {
+    if (!key || mode === "normal") return;
+
+    const entry = {
+      url: elevenLabs.getSignedUrl(agentId),
+      agentConfig: mode === "authenticated" ? agentConfig(agentId) : null,
+    };
+    // Handled when taken; an unanswered call never takes them
+    entry.url.catch(() => {});
+    entry.agentConfig?.catch(() => {});
+
+    prewarmed.set(key, entry);
+    setTimeout(() => {
+      if (prewarmed.get(key) === entry) prewarmed.delete(key);
+    }, SIGNED_URL_TTL_MS).unref();
+  }
+
+  // E.g. when the call could not be placed
+  function discard(key) {
+    prewarmed.delete(key);
+  }
+
+  // Hand out one prefetched result; the entry goes once both are taken
+  function take(key, field) {
+    const entry = prewarmed.get(key);
+    if (!entry) return null;
+
+    const value = entry[field];
+    entry[field] = null;
+    if (!entry.url && !entry.agentConfig) prewarmed.delete(key);
+    return value;
+  }
+
+  // A signed URL can only start one conversation, so it is handed out once;
+  // a failed prefetch falls back to a fresh request
+  async function conversationUrl(key, mode, agentId) {
+    const url = take(key, "url");
+    if (url) {
+      try {
+        const signedUrl = await url;
+        console.log(`[Warmup] Using prewarmed signed URL for session ${key}`);
+        return signedUrl;
+      } catch (error) {
+        console.warn(`[Warmup] Prewarmed signed URL failed, fetching another:`, error.message);
+      }
+    }
+    return elevenLabs.getConversationUrl(mode, agentId);
+  }
+
+  async function agentPrompt(key, agentId) {
+    const prefetched = take(key, "agentConfig");
+    const data = (await prefetched?.catch(() => null)) || (await agentConfig(agentId));
+
+    const prompt = data?.conversation_config?.agent?.prompt?.prompt;
+    if (!prompt) throw new Error("Prompt not found in the agent configuration");
+    return prompt;
+  }
+
+  return { prewarm, discard, conversationUrl, agentPrompt, invalidate };
+}
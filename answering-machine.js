@@ -0,0 +1,57 @@
+import Twilio from "twilio";
+
+// Answering machine detection for outbound calls. Twilio's AMD tells us who
+// picked up (AnsweredBy); when it's a machine the call gets one of these
+// voicemail actions instead of a live agent:
+//
+//   off      - no detection, the agent always connects
+//   hangup   - hang up without leaving a message
+//   agent    - the agent speaks the voicemail message in a fresh conversation
+//   message  - Twilio reads the voicemail message (text-to-speech), then hangs up
+//
+// Detection waits for the end of the greeting (DetectMessageEnd) so messages
+// land after the beep. In the default synchronous mode Twilio holds the call
+// until it knows and tells the TwiML webhook; with AMD_ASYNC the agent
+// connects straight away and a machine result replaces the call's TwiML.
+
+const { VoiceResponse } = Twilio.twiml;
+
+export const VOICEMAIL_ACTIONS = ["off", "hangup", "agent", "message"];
+
+export function isMachine(answeredBy) {
+  return Boolean(answeredBy) && (answeredBy.startsWith("machine") || answeredBy === "fax");
+}
+
+// Per-call voicemail settings over the server defaults
+export function resolveVoicemail(defaults, requested = {}) {
+  return {
+    action: requested.action || defaults.action,
+    message: requested.message || defaults.voicemailMessage,
+  };
+}
+
+// Extra calls.create parameters for the call's voicemail settings
+export function machineDetectionParams(voicemail, { async, statusCallback }) {
+  if (!voicemail || voicemail.action === "off") return {};
+
+  const params = { machineDetection: "DetectMessageEnd" };
+  if (async) {
+    params.asyncAmd = "true";
+    params.asyncAmdStatusCallback = statusCallback;
+    params.asyncAmdStatusCallbackMethod = "POST";
+  }
+  return params;
+}
+
+// TwiML for a call answered by a machine. `connectAgent` builds the
+// <Connect><Stream> TwiML used by the "agent" action.
+export function voicemailTwiml(voicemail, connectAgent) {
+  if (voicemail.action === "agent") return connectAgent();
+
+  const response = new VoiceResponse();
+  if (voicemail.action === "message") {
+    response.say(voicemail.message);
+  }
+  response.hangup();
+  return response.toString();
+}
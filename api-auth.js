@@ -0,0 +1,135 @@
+// API key authentication, per-key rate limiting and daily call quotas for the
+// routes that place outbound calls. Calls the campaign runner places for a key
+// count against the same daily quota. State is in memory, so limits reset
+// when the server restarts.
+//
+// Rejections use a stable `code` so make.com scenarios can branch on it:
+//   401 missing_api_key | invalid_api_key
+//   429 rate_limited | daily_quota_exceeded (with a Retry-After header)
+
+import crypto from "crypto";
+
+const MINUTE_MS = 60 * 1000;
+
+function extractKey(request) {
+  const authorization = request.headers.authorization;
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return request.headers["x-api-key"];
+}
+
+// Compare digests so the check takes the same time whatever the input length
+function sameKey(a, b) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+export function createApiKeyGuard({ apiKeys, rateLimitPerMinute, dailyCallQuota }) {
+  const usage = new Map(); // key name -> { recent: [timestamps], day, dayResetsAt }
+
+  function usageFor(name, now) {
+    let entry = usage.get(name);
+    if (!entry || entry.dayResetsAt <= now) {
+      entry = { recent: entry?.recent || [], day: 0, dayResetsAt: nextUtcMidnight(now) };
+      usage.set(name, entry);
+    }
+    entry.recent = entry.recent.filter((time) => time > now - MINUTE_MS);
+    return entry;
+  }
+
+  function reject(reply, status, code, error, retryAfterMs) {
+    if (retryAfterMs !== undefined) {
+      reply.header("Retry-After", Math.max(1, Math.ceil(retryAfterMs / 1000)));
+    }
+    return reply.code(status).send({ success: false, code, error });
+  }
+
+  // Resolve the request's key, replying 401 and returning null if it is
+  // missing or unknown
+  function identify(request, reply) {
+    const key = extractKey(request);
+    if (!key) {
+      reject(reply, 401, "missing_api_key", "API key is required");
+      return null;
+    }
+
+    const match = apiKeys.find((entry) => sameKey(entry.key, key));
+    if (!match) {
+      console.warn(`[Auth] Rejected invalid API key on ${request.url}`);
+      reject(reply, 401, "invalid_api_key", "Invalid API key");
+      return null;
+    }
+
+    request.apiKeyName = match.name;
+    return match;
+  }
+
+  // Fastify preHandler for read-only routes: a valid key, no call limits
+  async function authenticate(request, reply) {
+    if (!identify(request, reply)) return reply;
+  }
+
+  // Fastify preHandler for routes that place calls: a valid key within its
+  // rate limit and daily quota. On success request.apiKeyName identifies the
+  // caller. Nothing is counted yet; the handler calls commitCall once the
+  // call is actually placed or scheduled, so rejected requests cost nothing.
+  async function authorize(request, reply) {
+    const match = identify(request, reply);
+    if (!match) return reply;
+
+    const now = Date.now();
+    const entry = usageFor(match.name, now);
+
+    if (rateLimitPerMinute > 0 && entry.recent.length >= rateLimitPerMinute) {
+      console.warn(`[Auth] Rate limit hit for "${match.name}"`);
+      return reject(
+        reply,
+        429,
+        "rate_limited",
+        `Rate limit of ${rateLimitPerMinute} calls per minute exceeded`,
+        entry.recent[0] + MINUTE_MS - now
+      );
+    }
+
+    if (dailyCallQuota > 0 && entry.day >= dailyCallQuota) {
+      console.warn(`[Auth] Daily quota hit for "${match.name}"`);
+      return reject(
+        reply,
+        429,
+        "daily_quota_exceeded",
+        `Daily quota of ${dailyCallQuota} calls exceeded`,
+        entry.dayResetsAt - now
+      );
+    }
+  }
+
+  // Count the call an authorized request placed or scheduled against its
+  // key's rate limit and daily quota
+  function commitCall(request) {
+    const now = Date.now();
+    const entry = usageFor(request.apiKeyName, now);
+    entry.recent.push(now);
+    entry.day += 1;
+  }
+
+  // Whether key `name` has any of its daily quota left, for calls placed
+  // outside a request (the campaign runner)
+  function hasQuota(name) {
+    const entry = usageFor(name, Date.now());
+    return !(dailyCallQuota > 0 && entry.day >= dailyCallQuota);
+  }
+
+  // Count a call placed for key `name` outside a request against its daily
+  // quota, once it has been placed
+  function countCall(name) {
+    usageFor(name, Date.now()).day += 1;
+  }
+
+  return { authenticate, authorize, commitCall, hasQuota, countCall };
+}
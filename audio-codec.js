@@ -0,0 +1,200 @@
+// Audio sample conversion for the media bridge. Twilio Media Streams carry
+// 8kHz G.711 mu-law; recordings and other processing work on 16-bit PCM.
+// ElevenLabs agents can be set to other formats (named like "pcm_16000" or
+// "alaw_8000"), so the bridge converts between the two sides with
+// createAudioConverter().
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Decoding table: every one of the 256 mu-law bytes to its PCM16 sample
+const MULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_TO_PCM[i] = value & 0x80 ? -magnitude : magnitude;
+}
+
+export function decodeMulaw(bytes) {
+  const samples = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) samples[i] = MULAW_TO_PCM[bytes[i]];
+  return samples;
+}
+
+function encodeMulawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+export function encodeMulaw(samples) {
+  const bytes = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) bytes[i] = encodeMulawSample(samples[i]);
+  return bytes;
+}
+
+// G.711 A-law, segment by segment as in the reference encoder
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+const ALAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = i ^ 0x55;
+  const segment = (value & 0x70) >> 4;
+  let magnitude = (value & 0x0f) << 4;
+  if (segment === 0) magnitude += 8;
+  else magnitude = (magnitude + 0x108) << (segment - 1);
+  ALAW_TO_PCM[i] = value & 0x80 ? magnitude : -magnitude;
+}
+
+export function decodeAlaw(bytes) {
+  const samples = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) samples[i] = ALAW_TO_PCM[bytes[i]];
+  return samples;
+}
+
+function encodeAlawSample(sample) {
+  let magnitude = sample >> 3;
+  let mask = 0xd5;
+  if (magnitude < 0) {
+    mask = 0x55;
+    magnitude = -magnitude - 1;
+  }
+
+  const segment = ALAW_SEGMENT_ENDS.findIndex((end) => magnitude <= end);
+  if (segment === -1) return 0x7f ^ mask;
+
+  const mantissa = (magnitude >> (segment < 2 ? 1 : segment)) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+export function encodeAlaw(samples) {
+  const bytes = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) bytes[i] = encodeAlawSample(samples[i]);
+  return bytes;
+}
+
+// Little-endian signed 16-bit PCM, as ElevenLabs sends and expects it
+function decodePcm16(bytes) {
+  const samples = new Int16Array(bytes.length >> 1);
+  for (let i = 0; i < samples.length; i++) samples[i] = bytes.readInt16LE(i * 2);
+  return samples;
+}
+
+function encodePcm16(samples) {
+  const bytes = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) bytes.writeInt16LE(samples[i], i * 2);
+  return bytes;
+}
+
+const CODECS = {
+  mulaw: { decode: decodeMulaw, encode: encodeMulaw, bytesPerSample: 1 },
+  alaw: { decode: decodeAlaw, encode: encodeAlaw, bytesPerSample: 1 },
+  pcm16: { decode: decodePcm16, encode: encodePcm16, bytesPerSample: 2 },
+};
+
+// What Twilio Media Streams send and accept
+export const TWILIO_AUDIO_FORMAT = { encoding: "mulaw", sampleRate: 8000 };
+
+const FORMAT_NAMES = { ulaw: "mulaw", alaw: "alaw", pcm: "pcm16" };
+const SAMPLE_RATES = {
+  mulaw: [8000],
+  alaw: [8000],
+  pcm16: [8000, 16000, 22050, 24000],
+};
+
+// An ElevenLabs audio format name ("pcm_16000", "ulaw_8000", ...) as
+// { encoding, sampleRate }, or null if the bridge can't handle it
+export function parseAudioFormat(name) {
+  const match = /^(ulaw|alaw|pcm)_(\d+)$/.exec(name || "");
+  if (!match) return null;
+
+  const encoding = FORMAT_NAMES[match[1]];
+  const sampleRate = Number(match[2]);
+  return SAMPLE_RATES[encoding].includes(sampleRate) ? { encoding, sampleRate } : null;
+}
+
+// Linear interpolation resampler for a stream of chunks. It keeps its place
+// between chunks so their joins don't click. There is no anti-aliasing
+// filter; that is fine for speech going down to the phone line's 8kHz.
+function createResampler(fromRate, toRate) {
+  const step = fromRate / toRate;
+  let previous = null;
+  // Position of the next output sample, in input samples from `previous`
+  let position = 0;
+
+  return (samples) => {
+    let input = samples;
+    if (previous !== null) {
+      input = new Int16Array(samples.length + 1);
+      input[0] = previous;
+      input.set(samples, 1);
+    }
+    if (input.length === 0) return input;
+
+    const output = [];
+    for (; position < input.length - 1; position += step) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      output.push(Math.round(input[index] + (input[index + 1] - input[index]) * fraction));
+    }
+
+    position -= input.length - 1;
+    previous = input[input.length - 1];
+    return Int16Array.from(output);
+  };
+}
+
+// Converter for a stream of audio chunks (Buffers) from one format to
+// another. Chunks may split samples; the remainder is kept for the next one.
+export function createAudioConverter(from, to) {
+  if (from.encoding === to.encoding && from.sampleRate === to.sampleRate) {
+    return (bytes) => bytes;
+  }
+
+  const decoder = CODECS[from.encoding];
+  const encoder = CODECS[to.encoding];
+  const resample =
+    from.sampleRate === to.sampleRate ? null : createResampler(from.sampleRate, to.sampleRate);
+  let remainder = Buffer.alloc(0);
+
+  return (bytes) => {
+    let input = remainder.length > 0 ? Buffer.concat([remainder, bytes]) : bytes;
+    const usable = input.length - (input.length % decoder.bytesPerSample);
+    remainder = input.subarray(usable);
+    input = input.subarray(0, usable);
+
+    let samples = decoder.decode(input);
+    if (resample) samples = resample(samples);
+    return encoder.encode(samples);
+  };
+}
+
+// RIFF/WAVE file from interleaved PCM16 samples
+export function encodeWav(samples, { sampleRate, channels }) {
+  const dataSize = samples.length * 2;
+  const header = Buffer.alloc(44);
+
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28); // byte rate
+  header.writeUInt16LE(channels * 2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  const data = Buffer.from(samples.buffer, samples.byteOffset, dataSize);
+  return Buffer.concat([header, data]);
+}
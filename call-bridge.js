@@ -0,0 +1,615 @@
+import { EventEmitter } from "events";
+import WebSocket from "ws";
+import { TWILIO_AUDIO_FORMAT, createAudioConverter, parseAudioFormat } from "./audio-codec.js";
+import { resumeInitiationData } from "./conversation-overrides.js";
+import { PlayoutBuffer } from "./playout-buffer.js";
+import { transcriptToText } from "./transcripts.js";
+
+// Wait before each reconnect attempt, times the attempt number
+const RECONNECT_DELAY_MS = 500;
+
+// Agent audio is marked at least this often, so an interruption is placed
+// within this much of where it happened however large ElevenLabs' chunks are
+const MARK_INTERVAL_MS = 200;
+
+// Relays audio between a Twilio Media Stream socket and an ElevenLabs
+// Conversational AI socket. Routes create one bridge per Twilio connection and
+// only supply how to reach the agent and what to send it on start. The agent
+// is dialled once Twilio's "start" event has passed the optional authorize
+// check, so rejected streams never open an ElevenLabs conversation. Routes can
+// also supply loadSession to attach server-side call data (bridge.session)
+// before the agent is dialled. Agent audio goes through a PlayoutBuffer that
+// paces it to Twilio (targetLatencyMs sets how much it keeps queued).
+//
+// The agent's audio formats come from conversation_initiation_metadata; audio
+// is converted between those and Twilio's 8kHz mu-law, so agents set to PCM
+// or A-law work too. Caller audio waits for that message before it is sent.
+//
+// If the ElevenLabs socket drops (anything but a normal close, which is the
+// agent ending the conversation) the bridge reconnects up to
+// `reconnect.attempts` times with a fresh URL and the same initial config,
+// opening with `reconnect.resumeMessage` when one is set and passing the
+// transcript so far as a contextual update. If that fails, onAgentLost(bridge) decides what
+// happens to the call; by default it ends with an error.
+//
+// Agent audio is followed by a Twilio "mark" every MARK_INTERVAL_MS (and at
+// the end of each chunk), which Twilio echoes back once the caller has heard
+// everything before it. That tells us how much of
+// each agent turn was actually played: agent transcript entries are emitted
+// when their turn has finished playing, and a turn cut short by the caller is
+// flagged `interrupted` with the part they probably heard as `heardText`.
+//
+// Events:
+//   started      ({ streamSid, callSid, customParameters, session })
+//   conversation ({ conversationId, resumed }) once ElevenLabs has accepted the
+//                call, again with a new id after each reconnect
+//   reconnecting ({ attempt })
+//   firstAudio   ({ urlMs, connectedMs, conversationMs, firstAudioMs }), how
+//                long after the stream started each step of reaching the
+//                agent finished, once the first agent audio went to Twilio
+//   transcript   ({ role: "user" | "agent", text, at, offsetMs })
+//                agent entries may add { interrupted: true, heardText, heardMs }
+//   agentAudio   (base64 mu-law payload sent to Twilio, one 20ms frame)
+//   userAudio    (base64 mu-law payload from the caller, { timestamp })
+//   interrupted  ()
+//   toolCall     ({ toolName, toolCallId, parameters }) - answer with sendToolResult
+//   ended        ({ reason, detail })
+//
+// End reasons: caller, agent (conversation ended by ElevenLabs or the agent),
+// timeout, transfer, fallback (agent lost, fallback message played), error
+// (detail "audio_format" if the agent's audio format is unsupported,
+// "agent_lost" if ElevenLabs couldn't be reached again), unauthorized.
+export class CallBridge extends EventEmitter {
+  constructor(
+    twilioWs,
+    {
+      getConversationUrl,
+      buildInitialConfig,
+      authorize,
+      loadSession,
+      targetLatencyMs,
+      reconnect = { attempts: 0 },
+      onAgentLost,
+      label = "Bridge",
+    }
+  ) {
+    super();
+
+    this.twilioWs = twilioWs;
+    this.elevenLabsWs = null;
+    this.getConversationUrl = getConversationUrl;
+    this.buildInitialConfig = buildInitialConfig || (async () => null);
+    this.authorize = authorize || (() => true);
+    this.loadSession = loadSession || (async () => null);
+    this.reconnect = reconnect;
+    this.onAgentLost = onAgentLost || ((bridge) => bridge.end("error", "agent_lost"));
+    this.label = label;
+
+    this.streamSid = null;
+    this.callSid = null;
+    this.customParameters = {};
+    this.session = null;
+    this.conversationId = null;
+    this.previousConversationIds = [];
+    this.transcript = [];
+    this.resuming = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.timings = {};
+    // Converters between Twilio's audio and the agent's, once known
+    this.toTwilio = null;
+    this.fromTwilio = null;
+    this.startedAt = null;
+    this.ended = false;
+    this.endTimer = null;
+    this.playout = new PlayoutBuffer({
+      targetLatencyMs,
+      send: (frame) => this.sendAgentFrame(frame),
+      sendMark: (name) => this.sendToTwilio({ event: "mark", streamSid: this.streamSid, mark: { name } }),
+    });
+    // Agent turns not yet fully played, oldest first, and the marks sent to
+    // Twilio for their audio (mark name -> { turn, playedMs })
+    this.agentTurns = [];
+    this.pendingMarks = new Map();
+    this.markCount = 0;
+
+    twilioWs.on("message", (message) => this.handleTwilioMessage(message));
+    twilioWs.on("close", () => {
+      console.log(`[${this.label}] Twilio client disconnected`);
+      this.end("caller");
+    });
+    twilioWs.on("error", (error) => {
+      console.error(`[${this.label}] Twilio WebSocket error:`, error);
+      this.end("error");
+    });
+  }
+
+  async connectElevenLabs() {
+    // A conversation was under way before this connection
+    this.resuming = this.conversationId !== null;
+
+    // A bad URL makes the constructor throw, which counts as a failed
+    // connection like any other
+    let elevenLabsWs;
+    try {
+      const url = await this.getConversationUrl(this.session);
+      if (this.ended) return;
+      this.markTiming("urlMs");
+      elevenLabsWs = new WebSocket(url);
+    } catch (error) {
+      console.error(`[${this.label}] ElevenLabs setup error:`, error);
+      this.handleAgentDrop();
+      return;
+    }
+    this.elevenLabsWs = elevenLabsWs;
+
+    elevenLabsWs.on("open", () => {
+      console.log(`[${this.label}] Connected to Conversational AI`);
+      this.markTiming("connectedMs");
+      this.sendInitialConfig();
+    });
+
+    elevenLabsWs.on("message", (data) => {
+      try {
+        this.handleElevenLabsMessage(JSON.parse(data));
+      } catch (error) {
+        console.error(`[${this.label}] Error processing ElevenLabs message:`, error);
+      }
+    });
+
+    // A close always follows, which decides what happens next
+    elevenLabsWs.on("error", (error) => {
+      console.error(`[${this.label}] ElevenLabs WebSocket error:`, error);
+    });
+
+    elevenLabsWs.on("close", (code) => {
+      if (elevenLabsWs !== this.elevenLabsWs || this.ended) return;
+      console.log(`[${this.label}] ElevenLabs disconnected (${code})`);
+
+      // The agent ended the conversation: hang up once its goodbye has played
+      if (code === 1000) {
+        this.endAfterPlayback("agent");
+      } else {
+        this.handleAgentDrop();
+      }
+    });
+  }
+
+  // Nothing awaits a connection attempt, so anything it lets through ends
+  // the call here rather than crashing the process
+  connectAgent() {
+    this.connectElevenLabs().catch((error) => {
+      console.error(`[${this.label}] Error connecting to ElevenLabs:`, error);
+      this.end("error", "agent_lost");
+    });
+  }
+
+  // Reconnect after a dropped or failed connection, or give the call to
+  // onAgentLost once the attempts are used up. Agent audio already queued
+  // keeps playing meanwhile; caller audio is dropped.
+  handleAgentDrop() {
+    if (this.ended) return;
+    this.elevenLabsWs = null;
+    this.toTwilio = null;
+    this.fromTwilio = null;
+
+    if (this.reconnectAttempt >= this.reconnect.attempts) {
+      console.error(`[${this.label}] Lost the agent on call ${this.callSid}`);
+      Promise.resolve()
+        .then(() => this.onAgentLost(this))
+        .catch((error) => {
+          console.error(`[${this.label}] Error handling the lost agent:`, error);
+          this.end("error", "agent_lost");
+        });
+      return;
+    }
+
+    const attempt = ++this.reconnectAttempt;
+    const delayMs = RECONNECT_DELAY_MS * attempt;
+    console.warn(
+      `[${this.label}] Reconnecting to ElevenLabs in ${delayMs}ms (attempt ${attempt} of ${this.reconnect.attempts})`
+    );
+    this.emit("reconnecting", { attempt });
+    this.reconnectTimer = setTimeout(() => this.connectAgent(), delayMs);
+  }
+
+  async sendInitialConfig() {
+    try {
+      const initialConfig = await this.buildInitialConfig({
+        callSid: this.callSid,
+        streamSid: this.streamSid,
+        customParameters: this.customParameters,
+        session: this.session,
+      });
+
+      if (this.resuming) {
+        const resumeConfig = resumeInitiationData(initialConfig, this.reconnect.resumeMessage);
+        console.log(`[${this.label}] Sending initial config to resume:`, resumeConfig);
+        this.sendToElevenLabs(resumeConfig);
+      } else if (initialConfig) {
+        console.log(`[${this.label}] Sending initial config:`, initialConfig);
+        this.sendToElevenLabs(initialConfig);
+      }
+    } catch (error) {
+      console.error(`[${this.label}] Error building initial config:`, error);
+    }
+  }
+
+  handleElevenLabsMessage(message) {
+    switch (message.type) {
+      case "conversation_initiation_metadata": {
+        const resumed = this.resuming;
+        if (resumed) this.previousConversationIds.push(this.conversationId);
+        this.conversationId =
+          message.conversation_initiation_metadata_event?.conversation_id || null;
+        console.info(
+          `[${this.label}] Received conversation initiation metadata, conversation ${this.conversationId}`
+        );
+        if (!this.negotiateAudio(message.conversation_initiation_metadata_event || {})) return;
+        this.markTiming("conversationMs");
+
+        this.reconnectAttempt = 0;
+        if (resumed) this.sendConversationSoFar();
+        this.emit("conversation", { conversationId: this.conversationId, resumed });
+        break;
+      }
+
+      case "audio": {
+        const payload = message.audio_event?.audio_base_64 || message.audio?.chunk;
+        if (payload && this.toTwilio) {
+          this.queueAgentAudio(this.toTwilio(Buffer.from(payload, "base64")));
+        }
+        break;
+      }
+
+      case "interruption":
+        this.interruptAgent();
+        this.emit("interrupted");
+        break;
+
+      case "user_transcript":
+        this.emitTranscript("user", message.user_transcription_event?.user_transcript);
+        break;
+
+      case "agent_response":
+        this.handleAgentText(message.agent_response_event?.agent_response);
+        break;
+
+      // Truncated text after an interruption; our own heardText covers it
+      case "agent_response_correction":
+        break;
+
+      case "client_tool_call": {
+        const call = message.client_tool_call || {};
+        console.log(`[${this.label}] Agent called tool ${call.tool_name}`);
+        this.emit("toolCall", {
+          toolName: call.tool_name,
+          toolCallId: call.tool_call_id,
+          parameters: call.parameters || {},
+        });
+        break;
+      }
+
+      case "ping":
+        if (message.ping_event?.event_id) {
+          this.sendToElevenLabs({
+            type: "pong",
+            event_id: message.ping_event.event_id,
+          });
+        }
+        break;
+
+      default:
+        console.log(`[${this.label}] Unhandled message type: ${message.type}`);
+    }
+  }
+
+  handleTwilioMessage(message) {
+    try {
+      const msg = JSON.parse(message);
+
+      switch (msg.event) {
+        case "start":
+          this.handleStart(msg.start);
+          break;
+
+        case "media":
+          if (this.fromTwilio) {
+            const chunk = this.fromTwilio(Buffer.from(msg.media.payload, "base64"));
+            this.sendToElevenLabs({ user_audio_chunk: chunk.toString("base64") });
+          }
+          this.emit("userAudio", msg.media.payload, { timestamp: msg.media.timestamp });
+          break;
+
+        case "mark":
+          this.handleMark(msg.mark?.name);
+          break;
+
+        case "stop":
+          console.log(`[${this.label}] Stream ${this.streamSid} ended`);
+          this.end("caller");
+          break;
+
+        default:
+          console.log(`[${this.label}] Unhandled Twilio event: ${msg.event}`);
+      }
+    } catch (error) {
+      console.error(`[${this.label}] Error processing Twilio message:`, error);
+    }
+  }
+
+  async handleStart(start) {
+    if (this.streamSid) return;
+
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid;
+    this.startedAt = Date.now();
+    this.customParameters = start.customParameters || {};
+    console.log(
+      `[${this.label}] Stream started - StreamSid: ${this.streamSid}, CallSid: ${this.callSid}`
+    );
+
+    try {
+      if (!(await this.authorize(start))) {
+        console.warn(`[${this.label}] Rejected unauthenticated stream for call ${this.callSid}`);
+        this.end("unauthorized");
+        return;
+      }
+
+      this.session = await this.loadSession(start);
+    } catch (error) {
+      console.error(`[${this.label}] Error preparing stream:`, error);
+      this.end("error");
+      return;
+    }
+
+    this.emit("started", {
+      streamSid: this.streamSid,
+      callSid: this.callSid,
+      customParameters: this.customParameters,
+      session: this.session,
+    });
+    // Twilio can take agent audio from now on
+    this.playout.start();
+    this.connectAgent();
+  }
+
+  // Formats missing from the metadata are taken to be Twilio's own
+  negotiateAudio({ agent_output_audio_format: output, user_input_audio_format: input }) {
+    const agentFormat = parseAudioFormat(output || "ulaw_8000");
+    const userFormat = parseAudioFormat(input || "ulaw_8000");
+
+    if (!agentFormat || !userFormat) {
+      console.error(
+        `[${this.label}] Unsupported agent audio format (output ${output}, input ${input})`
+      );
+      this.end("error", "audio_format");
+      return false;
+    }
+
+    if ([output, input].some((name) => name && name !== "ulaw_8000")) {
+      console.log(`[${this.label}] Converting audio: agent output ${output}, input ${input}`);
+    }
+    this.toTwilio = createAudioConverter(agentFormat, TWILIO_AUDIO_FORMAT);
+    this.fromTwilio = createAudioConverter(TWILIO_AUDIO_FORMAT, userFormat);
+    return true;
+  }
+
+  // Context for a resumed conversation, which otherwise starts blank
+  sendConversationSoFar() {
+    if (this.transcript.length === 0) return;
+
+    this.sendToElevenLabs({
+      type: "contextual_update",
+      text:
+        "The call was briefly disconnected and has now resumed; carry on from where it " +
+        `left off without greeting the caller again. The conversation so far:\n${transcriptToText(this.transcript)}`,
+    });
+  }
+
+  emitTranscript(role, text) {
+    if (!text) return;
+
+    const now = Date.now();
+    this.recordTranscript({
+      role,
+      text,
+      at: new Date(now).toISOString(),
+      offsetMs: now - (this.startedAt ?? now),
+    });
+  }
+
+  recordTranscript(entry) {
+    this.transcript.push(entry);
+    this.emit("transcript", entry);
+  }
+
+  // An agent turn starts with its text or its audio, whichever comes first,
+  // and collects audio until the next text arrives.
+  startAgentTurn(text) {
+    const now = Date.now();
+    const turn = {
+      text,
+      at: new Date(now).toISOString(),
+      offsetMs: now - (this.startedAt ?? now),
+      receivedMs: 0,
+      playedMs: 0,
+      closed: false,
+    };
+    this.agentTurns.push(turn);
+    return turn;
+  }
+
+  handleAgentText(text) {
+    if (!text) return;
+
+    const turn = this.agentTurns.at(-1);
+    if (turn && turn.text === null) {
+      turn.text = text;
+    } else {
+      this.agentTurns.forEach((open) => (open.closed = true));
+      this.startAgentTurn(text);
+    }
+    this.settleAgentTurns();
+  }
+
+  queueAgentAudio(audio) {
+    const turn = this.agentTurns.at(-1) || this.startAgentTurn(null);
+    // mu-law at 8kHz: 8 bytes per millisecond
+    const sliceBytes = MARK_INTERVAL_MS * 8;
+
+    for (let offset = 0; offset < audio.length; offset += sliceBytes) {
+      const slice = audio.subarray(offset, offset + sliceBytes);
+      turn.receivedMs += slice.length / 8;
+
+      const name = String(++this.markCount);
+      this.pendingMarks.set(name, { turn, playedMs: turn.receivedMs });
+      this.playout.push(slice);
+      this.playout.mark(name);
+    }
+  }
+
+  handleMark(name) {
+    const mark = this.pendingMarks.get(name);
+    // Marks Twilio returns after a clear belong to turns already settled
+    if (!mark) return;
+
+    this.pendingMarks.delete(name);
+    mark.turn.playedMs = mark.playedMs;
+    this.settleAgentTurns();
+  }
+
+  // Emit the oldest turns once they have played through. A turn with no
+  // audio yet only counts as done once a later turn has started.
+  settleAgentTurns() {
+    while (this.agentTurns.length > 0) {
+      const turn = this.agentTurns[0];
+      const heardAll = turn.playedMs >= turn.receivedMs && (turn.receivedMs > 0 || turn.closed);
+      if (turn.text === null || !heardAll) return;
+
+      this.agentTurns.shift();
+      this.emitAgentTurn(turn);
+    }
+  }
+
+  // The caller spoke over the agent: drop what hasn't been sent, have Twilio
+  // discard what it has buffered, and record how far each open turn got.
+  interruptAgent() {
+    const droppedMs = this.playout.flush();
+    if (droppedMs > 0 || this.pendingMarks.size > 0) {
+      this.sendToTwilio({ event: "clear", streamSid: this.streamSid });
+    }
+    this.flushAgentTurns();
+  }
+
+  flushAgentTurns() {
+    const turns = this.agentTurns;
+    this.agentTurns = [];
+    this.pendingMarks.clear();
+    turns.forEach((turn) => this.emitAgentTurn(turn));
+  }
+
+  emitAgentTurn(turn) {
+    if (!turn.text) return;
+
+    const entry = { role: "agent", text: turn.text, at: turn.at, offsetMs: turn.offsetMs };
+    if (turn.playedMs < turn.receivedMs) {
+      entry.interrupted = true;
+      entry.heardText = heardPrefix(turn.text, turn.playedMs / turn.receivedMs);
+      entry.heardMs = Math.round(turn.playedMs);
+    }
+    this.recordTranscript(entry);
+  }
+
+  sendAgentFrame(frame) {
+    const payload = frame.toString("base64");
+    this.sendToTwilio({
+      event: "media",
+      streamSid: this.streamSid,
+      media: { payload },
+    });
+
+    if (this.timings.firstAudioMs === undefined) {
+      this.markTiming("firstAudioMs");
+      const { urlMs, connectedMs, conversationMs, firstAudioMs } = this.timings;
+      console.log(
+        `[${this.label}] First agent audio ${firstAudioMs}ms after the stream started ` +
+          `(URL ${urlMs}ms, connected ${connectedMs}ms, conversation ${conversationMs}ms)`
+      );
+      this.emit("firstAudio", { ...this.timings });
+    }
+    this.emit("agentAudio", payload);
+  }
+
+  // Only the first time counts: reconnects don't overwrite it
+  markTiming(name) {
+    if (this.timings[name] === undefined && this.startedAt !== null) {
+      this.timings[name] = Date.now() - this.startedAt;
+    }
+  }
+
+  // When the agent audio received so far will have finished playing
+  get playbackEndsAt() {
+    return this.playout.endsAt();
+  }
+
+  sendToolResult(toolCallId, result, isError = false) {
+    this.sendToElevenLabs({
+      type: "client_tool_result",
+      tool_call_id: toolCallId,
+      result: typeof result === "string" ? result : JSON.stringify(result),
+      is_error: isError,
+    });
+  }
+
+  isElevenLabsOpen() {
+    return this.elevenLabsWs?.readyState === WebSocket.OPEN;
+  }
+
+  sendToElevenLabs(message) {
+    if (this.isElevenLabsOpen()) {
+      this.elevenLabsWs.send(JSON.stringify(message));
+    }
+  }
+
+  sendToTwilio(message) {
+    if (this.twilioWs.readyState === WebSocket.OPEN) {
+      this.twilioWs.send(JSON.stringify(message));
+    }
+  }
+
+  // End the call once the caller has heard the agent audio already sent
+  endAfterPlayback(reason, detail) {
+    if (this.ended || this.endTimer) return;
+
+    const waitMs = Math.max(0, this.playbackEndsAt - Date.now()) + 250;
+    this.endTimer = setTimeout(() => this.end(reason, detail), waitMs);
+  }
+
+  // Tear down both sockets once; the first reason wins. Closing the Twilio
+  // stream moves the call past <Connect>, which hangs it up.
+  end(reason, detail) {
+    if (this.ended) return;
+    this.ended = true;
+    clearTimeout(this.endTimer);
+    clearTimeout(this.reconnectTimer);
+    this.playout.stop();
+    this.flushAgentTurns();
+
+    if (this.elevenLabsWs && this.elevenLabsWs.readyState <= WebSocket.OPEN) {
+      this.elevenLabsWs.close();
+    }
+    if (this.twilioWs.readyState === WebSocket.OPEN) {
+      this.twilioWs.close();
+    }
+
+    this.emit("ended", { reason, detail });
+  }
+}
+
+// The words of `text` that fit in the played fraction of its audio; speech
+// runs at a roughly even rate, so this is an estimate.
+function heardPrefix(text, fraction) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.slice(0, Math.floor(words.length * fraction)).join(" ");
+}
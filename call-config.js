@@ -0,0 +1,315 @@
+// Call-mode configuration shared by the inbound and outbound routes.
+//
+// Each direction picks one of the variants that used to live as separate
+// files in forTheLegends/, so switching behaviour is an env change instead of
+// swapping files:
+//
+//   normal         - public agent, no API key, no overrides
+//   authenticated  - signed URL using ELEVENLABS_API_KEY
+//   custom-prompt  - signed URL plus a fixed prompt / first message override
+//   make           - (outbound only) prompt supplied per call by make.com
+
+import { VOICEMAIL_ACTIONS } from "./answering-machine.js";
+import { loadClientTools } from "./client-tools.js";
+import { loadInboundRoutes } from "./inbound-routing.js";
+
+export const INBOUND_MODES = ["normal", "authenticated", "custom-prompt"];
+export const OUTBOUND_MODES = ["normal", "authenticated", "custom-prompt", "make"];
+export const STORAGE_BACKENDS = ["memory", "file"];
+export const CALLER_LOOKUP_BACKENDS = ["none", "file", "http"];
+export const RECORDING_BACKENDS = ["local", "firebase"];
+
+const DEFAULT_PROMPT = "you are a sophie from barts automite";
+const DEFAULT_FIRST_MESSAGE = "hey there! how can I help you today?";
+
+function parseEnabled(value, name) {
+  if (value === undefined || value === "") return true;
+
+  const normalized = String(value).toLowerCase();
+  if (["1", "true", "yes", "on"].includes(normalized)) return true;
+  if (["0", "false", "no", "off"].includes(normalized)) return false;
+
+  throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+function parseMode(value, allowed, name) {
+  const mode = (value || "authenticated").toLowerCase();
+
+  if (!allowed.includes(mode)) {
+    throw new Error(
+      `${name} must be one of ${allowed.join(", ")}, got "${value}"`
+    );
+  }
+
+  return mode;
+}
+
+function parseCount(value, fallback, name) {
+  if (value === undefined || value === "") return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a whole number >= 0, got "${value}"`);
+  }
+
+  return number;
+}
+
+// OUTBOUND_API_KEYS is a comma separated list of keys, each optionally
+// prefixed with a label ("make:abc123") that shows up in logs instead of the key.
+function parseApiKeys(value) {
+  if (!value) return [];
+
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(":");
+      if (separator === -1) return { name: `key${index + 1}`, key: entry };
+      return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    });
+}
+
+// Build and validate the call configuration from environment variables.
+// Throws with a list of every problem found so a bad deploy fails at startup
+// rather than on the first call. `callHistory` says whether the /calls routes
+// will be mounted, which needs a key to read them with.
+export function loadCallConfig(env = process.env, { callHistory = true } = {}) {
+  const errors = [];
+
+  const collect = (fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      errors.push(error.message);
+      return undefined;
+    }
+  };
+
+  const inbound = {
+    enabled: collect(() => parseEnabled(env.INBOUND_ENABLED, "INBOUND_ENABLED")),
+    mode: collect(() => parseMode(env.INBOUND_MODE, INBOUND_MODES, "INBOUND_MODE")),
+    prompt: env.INBOUND_PROMPT || DEFAULT_PROMPT,
+    firstMessage: env.INBOUND_FIRST_MESSAGE || DEFAULT_FIRST_MESSAGE,
+    routes: collect(() => loadInboundRoutes(env.INBOUND_ROUTES_FILE)) || [],
+  };
+
+  const outbound = {
+    enabled: collect(() => parseEnabled(env.OUTBOUND_ENABLED, "OUTBOUND_ENABLED")),
+    mode: collect(() => parseMode(env.OUTBOUND_MODE, OUTBOUND_MODES, "OUTBOUND_MODE")),
+    prompt: env.OUTBOUND_PROMPT || DEFAULT_PROMPT,
+    firstMessage: env.OUTBOUND_FIRST_MESSAGE || DEFAULT_FIRST_MESSAGE,
+    apiKeys: parseApiKeys(env.OUTBOUND_API_KEYS),
+    rateLimitPerMinute: collect(() =>
+      parseCount(env.OUTBOUND_RATE_LIMIT_PER_MINUTE, 10, "OUTBOUND_RATE_LIMIT_PER_MINUTE")
+    ),
+    dailyCallQuota: collect(() =>
+      parseCount(env.OUTBOUND_DAILY_CALL_QUOTA, 500, "OUTBOUND_DAILY_CALL_QUOTA")
+    ),
+  };
+
+  // Keys that may read the call history; the outbound keys unless set
+  const historyApiKeys = parseApiKeys(env.CALL_HISTORY_API_KEYS);
+
+  const config = {
+    elevenLabs: {
+      apiKey: env.ELEVENLABS_API_KEY,
+      agentId: env.ELEVENLABS_AGENT_ID,
+      agentCacheSeconds: collect(() =>
+        parseCount(env.AGENT_CONFIG_CACHE_SECONDS, 60, "AGENT_CONFIG_CACHE_SECONDS")
+      ),
+    },
+    twilio: {
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      phoneNumber: env.TWILIO_PHONE_NUMBER,
+      validateSignature: collect(() =>
+        parseEnabled(env.TWILIO_VALIDATE_SIGNATURE, "TWILIO_VALIDATE_SIGNATURE")
+      ),
+      publicBaseUrl: env.PUBLIC_BASE_URL,
+    },
+    storage: {
+      backend: (env.STORAGE_BACKEND || "memory").toLowerCase(),
+      dir: env.STORAGE_DIR || "./data",
+    },
+    callerLookup: {
+      backend: (env.CALLER_LOOKUP || "none").toLowerCase(),
+      file: env.CALLER_LOOKUP_FILE,
+      url: env.CALLER_LOOKUP_URL,
+      token: env.CALLER_LOOKUP_TOKEN,
+      timeoutMs: collect(() =>
+        parseCount(env.CALLER_LOOKUP_TIMEOUT_MS, 2000, "CALLER_LOOKUP_TIMEOUT_MS")
+      ),
+    },
+    recording: {
+      enabled: collect(() => parseEnabled(env.RECORDING_ENABLED || "false", "RECORDING_ENABLED")),
+      backend: (env.RECORDING_STORAGE || "local").toLowerCase(),
+      firebaseConfig: collect(() =>
+        env.FIREBASE_CONFIG ? JSON.parse(env.FIREBASE_CONFIG) : undefined
+      ),
+    },
+    callbacks: {
+      signingSecret: env.CALLBACK_SIGNING_SECRET,
+    },
+    callHistory: {
+      apiKeys: historyApiKeys.length > 0 ? historyApiKeys : outbound.apiKeys,
+    },
+    audio: {
+      targetLatencyMs: collect(() =>
+        parseCount(env.AUDIO_TARGET_LATENCY_MS, 100, "AUDIO_TARGET_LATENCY_MS")
+      ),
+    },
+    reconnect: {
+      attempts: collect(() =>
+        parseCount(env.ELEVENLABS_RECONNECT_ATTEMPTS, 2, "ELEVENLABS_RECONNECT_ATTEMPTS")
+      ),
+      // Opt-in: it is sent as a first message override, which agents refuse
+      // unless that override is enabled in their security settings
+      resumeMessage: env.AGENT_RESUME_MESSAGE || "",
+      fallbackMessage:
+        env.AGENT_FALLBACK_MESSAGE ?? "Sorry, we're having technical difficulties and can't continue this call.",
+    },
+    callLimits: {
+      maxDurationSeconds: collect(() =>
+        parseCount(env.CALL_MAX_DURATION_SECONDS, 0, "CALL_MAX_DURATION_SECONDS")
+      ),
+      silenceTimeoutSeconds: collect(() =>
+        parseCount(env.CALL_SILENCE_TIMEOUT_SECONDS, 0, "CALL_SILENCE_TIMEOUT_SECONDS")
+      ),
+    },
+    clientTools: collect(() => loadClientTools(env.CLIENT_TOOLS_FILE)) || [],
+    transfer: {
+      number: env.TRANSFER_NUMBER,
+      queue: env.TRANSFER_QUEUE,
+      toolName: env.TRANSFER_TOOL_NAME || "transfer_to_human",
+    },
+    answeringMachine: {
+      action: (env.AMD_ACTION || "off").toLowerCase(),
+      async: collect(() => parseEnabled(env.AMD_ASYNC || "false", "AMD_ASYNC")),
+      voicemailMessage: env.AMD_VOICEMAIL_MESSAGE,
+    },
+    inbound,
+    outbound,
+  };
+
+  const { recording } = config;
+  if (!RECORDING_BACKENDS.includes(recording.backend)) {
+    errors.push(
+      `RECORDING_STORAGE must be one of ${RECORDING_BACKENDS.join(", ")}, got "${env.RECORDING_STORAGE}"`
+    );
+  }
+  if (recording.enabled && recording.backend === "firebase" && !recording.firebaseConfig?.storageBucket) {
+    errors.push("FIREBASE_CONFIG must be JSON with a storageBucket when RECORDING_STORAGE=firebase");
+  }
+
+  const { transfer } = config;
+  if (transfer.number && transfer.queue) {
+    errors.push("Set only one of TRANSFER_NUMBER and TRANSFER_QUEUE");
+  }
+  if (transfer.number && !/^(\+[1-9]\d{1,14}|sip:\S+)$/.test(transfer.number)) {
+    errors.push(`TRANSFER_NUMBER must be an E.164 number or sip: URI, got "${transfer.number}"`);
+  }
+  if ((transfer.number || transfer.queue) && !(config.twilio.accountSid && config.twilio.authToken)) {
+    errors.push("TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required for transfers");
+  }
+
+  const { answeringMachine } = config;
+  if (!VOICEMAIL_ACTIONS.includes(answeringMachine.action)) {
+    errors.push(
+      `AMD_ACTION must be one of ${VOICEMAIL_ACTIONS.join(", ")}, got "${env.AMD_ACTION}"`
+    );
+  }
+  if (["agent", "message"].includes(answeringMachine.action) && !answeringMachine.voicemailMessage) {
+    errors.push(`AMD_VOICEMAIL_MESSAGE is required when AMD_ACTION=${answeringMachine.action}`);
+  }
+
+  const { callerLookup } = config;
+  if (!CALLER_LOOKUP_BACKENDS.includes(callerLookup.backend)) {
+    errors.push(
+      `CALLER_LOOKUP must be one of ${CALLER_LOOKUP_BACKENDS.join(", ")}, got "${env.CALLER_LOOKUP}"`
+    );
+  }
+  if (callerLookup.backend === "file" && !callerLookup.file) {
+    errors.push("CALLER_LOOKUP_FILE is required when CALLER_LOOKUP=file");
+  }
+  if (callerLookup.backend === "http") {
+    try {
+      new URL(callerLookup.url);
+    } catch {
+      errors.push("CALLER_LOOKUP_URL must be a valid URL when CALLER_LOOKUP=http");
+    }
+  }
+
+  if (!STORAGE_BACKENDS.includes(config.storage.backend)) {
+    errors.push(
+      `STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(", ")}, got "${env.STORAGE_BACKEND}"`
+    );
+  }
+
+  if (!config.elevenLabs.agentId) {
+    errors.push("ELEVENLABS_AGENT_ID is required");
+  }
+
+  const needsApiKey = [inbound, outbound].some(
+    (route) => route.enabled && route.mode && route.mode !== "normal"
+  );
+  if (needsApiKey && !config.elevenLabs.apiKey) {
+    errors.push("ELEVENLABS_API_KEY is required unless every enabled route uses normal mode");
+  }
+
+  if (outbound.enabled) {
+    for (const [key, name] of [
+      ["accountSid", "TWILIO_ACCOUNT_SID"],
+      ["authToken", "TWILIO_AUTH_TOKEN"],
+      ["phoneNumber", "TWILIO_PHONE_NUMBER"],
+    ]) {
+      if (!config.twilio[key]) errors.push(`${name} is required for outbound calls`);
+    }
+
+    if (outbound.apiKeys.length === 0) {
+      errors.push("OUTBOUND_API_KEYS is required so only our automations can place calls");
+    }
+  }
+
+  // Inbound-only deployments have no outbound keys to fall back on
+  if (callHistory && config.callHistory.apiKeys.length === 0) {
+    errors.push("CALL_HISTORY_API_KEYS (or OUTBOUND_API_KEYS) is required to read the call history");
+  }
+
+  if (config.twilio.validateSignature && !config.twilio.authToken) {
+    errors.push(
+      "TWILIO_AUTH_TOKEN is required to validate Twilio webhooks (set TWILIO_VALIDATE_SIGNATURE=false to disable)"
+    );
+  }
+
+  if (config.twilio.publicBaseUrl && !/^https:\/\/[^/]+/.test(config.twilio.publicBaseUrl)) {
+    errors.push(`PUBLIC_BASE_URL must be an https:// URL, got "${config.twilio.publicBaseUrl}"`);
+  }
+
+  if (!inbound.enabled && !outbound.enabled) {
+    errors.push("At least one of INBOUND_ENABLED or OUTBOUND_ENABLED must be true");
+  }
+
+  if (errors.length > 0) {
+    console.error("[Config] Invalid call configuration:", errors);
+    throw new Error(`Invalid call configuration: ${errors.join("; ")}`);
+  }
+
+  return config;
+}
+
+// Resolve the config for a single direction, letting a caller (e.g. one of the
+// forTheLegends shims) pin the mode without touching the environment.
+export function resolveRouteConfig(direction, overrides = {}, env = process.env) {
+  const key = direction === "inbound" ? "INBOUND" : "OUTBOUND";
+  const merged = { ...env };
+
+  if (overrides.mode) merged[`${key}_MODE`] = overrides.mode;
+  merged[`${key}_ENABLED`] = "true";
+  // Only validate the direction being registered. These setups don't mount
+  // the /calls routes, so they need no key to read them.
+  merged[`${direction === "inbound" ? "OUTBOUND" : "INBOUND"}_ENABLED`] = "false";
+
+  return loadCallConfig(merged, { callHistory: false });
+}
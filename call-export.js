@@ -0,0 +1,73 @@
+import { stringify } from "csv-stringify";
+
+// CSV export of the call log for reporting
+
+const SUMMARY_LENGTH = 300;
+
+const COLUMNS = [
+  "callSid",
+  "direction",
+  "from",
+  "to",
+  "agentId",
+  "startedAt",
+  "endedAt",
+  "duration",
+  "status",
+  "hangupReason",
+  "summary",
+  "dynamicVariables",
+];
+
+// ElevenLabs' analysis summary when we have it, otherwise the start of the
+// transcript
+function summarize(call) {
+  if (call.summary) return call.summary;
+
+  const text = (call.transcript || [])
+    .map((entry) => `${entry.role}: ${entry.text}`)
+    .join(" | ");
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 1)}…` : text;
+}
+
+function callTime(call) {
+  return Date.parse(call.startedAt || call.createdAt || call.updatedAt);
+}
+
+// since / until are Date objects (either may be missing); direction is
+// "inbound" or "outbound"
+export function filterCalls(calls, { since, until, direction }) {
+  return calls
+    .filter((call) => {
+      const time = callTime(call);
+      if (since && !(time >= since.getTime())) return false;
+      if (until && !(time < until.getTime())) return false;
+      if (direction && call.direction !== direction) return false;
+      return true;
+    })
+    .sort((a, b) => callTime(a) - callTime(b));
+}
+
+export function createCallCsvStream(calls) {
+  const csv = stringify({ header: true, columns: COLUMNS });
+
+  for (const call of calls) {
+    csv.write({
+      callSid: call.callSid,
+      direction: call.direction,
+      from: call.from,
+      to: call.to,
+      agentId: call.agentId,
+      startedAt: call.startedAt || call.createdAt,
+      endedAt: call.endedAt,
+      duration: call.duration,
+      status: call.status,
+      hangupReason: call.endReason,
+      summary: summarize(call),
+      dynamicVariables: call.dynamicVariables ? JSON.stringify(call.dynamicVariables) : "",
+    });
+  }
+  csv.end();
+
+  return csv;
+}
@@ -0,0 +1,70 @@
+// End-of-call rules for bridged calls:
+//
+//   - the agent can hang up through the end_call client tool (ElevenLabs'
+//     own end-call system tool closes the conversation, which the bridge
+//     already treats as the agent hanging up)
+//   - CALL_MAX_DURATION_SECONDS caps every call
+//   - CALL_SILENCE_TIMEOUT_SECONDS hangs up when neither side has said
+//     anything for that long
+//
+// Closing the media stream normally ends the call; when the server ends it
+// the call is also completed through the REST API in case Twilio has more
+// TwiML to run.
+
+const SERVER_REASONS = ["agent", "timeout", "error"];
+
+export function createCallHangup({ callLimits }, { twilioClient, tools }) {
+  const maxDurationMs = callLimits.maxDurationSeconds * 1000;
+  const silenceTimeoutMs = callLimits.silenceTimeoutSeconds * 1000;
+
+  tools.register("end_call", (parameters, { bridge }) => {
+    bridge.endAfterPlayback("agent", "end_call");
+    return "The call will end after your last message";
+  });
+
+  function attach(bridge) {
+    let maxDurationTimer = null;
+    let silenceTimer = null;
+
+    // Agent audio arrives faster than it plays, so silence starts counting
+    // once the caller has heard it
+    const resetSilence = () => {
+      if (!silenceTimeoutMs || bridge.ended) return;
+      clearTimeout(silenceTimer);
+      const playingMs = Math.max(0, bridge.playbackEndsAt - Date.now());
+      silenceTimer = setTimeout(() => {
+        console.log(`[Hangup] ${bridge.callSid} silent for ${callLimits.silenceTimeoutSeconds}s`);
+        bridge.end("timeout", "silence");
+      }, silenceTimeoutMs + playingMs);
+    };
+
+    bridge.on("started", () => {
+      if (maxDurationMs) {
+        maxDurationTimer = setTimeout(() => {
+          console.log(`[Hangup] ${bridge.callSid} reached ${callLimits.maxDurationSeconds}s`);
+          bridge.end("timeout", "max_duration");
+        }, maxDurationMs);
+      }
+      resetSilence();
+    });
+
+    bridge.on("transcript", resetSilence);
+    bridge.on("agentAudio", resetSilence);
+
+    bridge.on("ended", ({ reason }) => {
+      clearTimeout(maxDurationTimer);
+      clearTimeout(silenceTimer);
+
+      if (!twilioClient || !bridge.callSid || !SERVER_REASONS.includes(reason)) return;
+      twilioClient
+        .calls(bridge.callSid)
+        .update({ status: "completed" })
+        .catch((error) =>
+          // Usually just "call is not in progress": it already hung up
+          console.warn(`[Hangup] Could not complete ${bridge.callSid}:`, error.message)
+        );
+    });
+  }
+
+  return { attach };
+}
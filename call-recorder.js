@@ -0,0 +1,127 @@
+import { decodeMulaw, encodeWav } from "./audio-codec.js";
+
+// Builds a stereo recording of a call from the frames the media bridge relays:
+// caller on the left channel, agent on the right, 8kHz PCM16.
+//
+// Twilio's media timestamps are the clock. Caller frames are placed at their
+// timestamp; agent audio arrives in bursts faster than real time, so it is
+// queued behind whatever agent audio is still "playing", and anything not yet
+// played when the caller barges in is dropped, as Twilio drops it too.
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+class Track {
+  constructor() {
+    this.samples = new Int16Array(SAMPLE_RATE * 60);
+    this.length = 0;
+  }
+
+  write(position, samples) {
+    const end = position + samples.length;
+    if (end > this.samples.length) {
+      const grown = new Int16Array(Math.max(end, this.samples.length * 2));
+      grown.set(this.samples.subarray(0, this.length));
+      this.samples = grown;
+    }
+    this.samples.set(samples, position);
+    this.length = Math.max(this.length, end);
+  }
+
+  truncate(position) {
+    if (position < this.length) {
+      this.samples.fill(0, position, this.length);
+      this.length = position;
+    }
+  }
+}
+
+export class CallRecorder {
+  constructor() {
+    this.caller = new Track();
+    this.agent = new Track();
+    this.now = 0; // latest Twilio timestamp, in samples
+    this.agentEnd = 0; // where the queued agent audio finishes, in samples
+  }
+
+  addCallerAudio(payload, timestampMs) {
+    const samples = decodeMulaw(Buffer.from(payload, "base64"));
+    const position =
+      timestampMs !== undefined ? Math.round(Number(timestampMs) * SAMPLES_PER_MS) : this.caller.length;
+
+    this.caller.write(position, samples);
+    this.now = Math.max(this.now, position + samples.length);
+  }
+
+  addAgentAudio(payload) {
+    const samples = decodeMulaw(Buffer.from(payload, "base64"));
+    const position = Math.max(this.agentEnd, this.now);
+
+    this.agent.write(position, samples);
+    this.agentEnd = position + samples.length;
+  }
+
+  // Twilio discarded everything it had not played yet
+  interrupt() {
+    this.agent.truncate(this.now);
+    this.agentEnd = this.now;
+  }
+
+  get durationMs() {
+    return Math.max(this.caller.length, this.agent.length) / SAMPLES_PER_MS;
+  }
+
+  toWav() {
+    const frames = Math.max(this.caller.length, this.agent.length);
+    const interleaved = new Int16Array(frames * 2);
+
+    for (let i = 0; i < frames; i++) {
+      interleaved[i * 2] = i < this.caller.length ? this.caller.samples[i] : 0;
+      interleaved[i * 2 + 1] = i < this.agent.length ? this.agent.samples[i] : 0;
+    }
+
+    return encodeWav(interleaved, { sampleRate: SAMPLE_RATE, channels: 2 });
+  }
+}
+
+// Record a bridged call and save it through `recordings` when the call ends.
+// The record's `recording` is null when there was nothing to save or saving
+// failed; onSaved runs once it is set either way.
+export function recordBridge(bridge, { recordings, callRecords }, { onSaved } = {}) {
+  const recorder = new CallRecorder();
+
+  bridge.on("userAudio", (payload, { timestamp } = {}) =>
+    recorder.addCallerAudio(payload, timestamp)
+  );
+  bridge.on("agentAudio", (payload) => recorder.addAgentAudio(payload));
+  bridge.on("interrupted", () => recorder.interrupt());
+
+  async function save(callSid) {
+    if (recorder.durationMs === 0) return null;
+
+    try {
+      const saved = await recordings.save(`${callSid}.wav`, recorder.toWav(), "audio/wav");
+      console.log(`[Recording] Saved ${callSid} (${Math.round(recorder.durationMs / 1000)}s)`);
+      return {
+        ...saved,
+        durationMs: Math.round(recorder.durationMs),
+        channels: { left: "caller", right: "agent" },
+      };
+    } catch (error) {
+      console.error(`[Recording] Error saving recording for ${callSid}:`, error);
+      return null;
+    }
+  }
+
+  bridge.on("ended", async ({ reason }) => {
+    const { callSid } = bridge;
+    if (!callSid || reason === "unauthorized") return;
+
+    try {
+      await callRecords.upsert(callSid, { recording: await save(callSid) });
+      onSaved?.();
+    } catch (error) {
+      console.error(`[Recording] Error updating call record for ${callSid}:`, error);
+    }
+  });
+}
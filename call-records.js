@@ -0,0 +1,110 @@
+import { createKeyedQueue, createStore } from "./stores.js";
+
+// Persistent record per call, keyed by CallSid. Records are patched from
+// several places (the outbound trigger, Twilio status callbacks, the media
+// bridge), so writes to the same call are serialised.
+
+export function createCallRecords(storage) {
+  const store = createStore(storage, "calls");
+  const enqueue = createKeyedQueue();
+
+  function update(callSid, apply) {
+    return enqueue(callSid, async () => {
+      const existing = (await store.get(callSid)) || { callSid, events: [] };
+      const record = apply(existing) || existing;
+      record.updatedAt = new Date().toISOString();
+      await store.set(callSid, record);
+      return record;
+    });
+  }
+
+  // Shallow-merge fields into the record, creating it if needed
+  function upsert(callSid, fields) {
+    return update(callSid, (record) => Object.assign(record, fields));
+  }
+
+  // Apply a Twilio status callback. Callbacks can arrive out of order, so the
+  // current status only moves forward by SequenceNumber; every transition is
+  // kept in `events`.
+  function recordStatus(callSid, params) {
+    return update(callSid, (record) => {
+      const sequence = Number(params.SequenceNumber ?? record.events.length);
+
+      record.events.push({
+        status: params.CallStatus,
+        sequence,
+        at: params.Timestamp ? new Date(params.Timestamp).toISOString() : new Date().toISOString(),
+      });
+
+      if (record.lastSequence === undefined || sequence >= record.lastSequence) {
+        record.lastSequence = sequence;
+        record.status = params.CallStatus;
+      }
+
+      if (params.CallDuration !== undefined) record.duration = Number(params.CallDuration);
+      record.direction ??= params.Direction;
+      record.from ??= params.From;
+      record.to ??= params.To;
+    });
+  }
+
+  function appendTranscript(callSid, entry) {
+    return update(callSid, (record) => {
+      (record.transcript ||= []).push(entry);
+    });
+  }
+
+  return {
+    get: (callSid) => store.get(callSid),
+    list: () => store.list(),
+    upsert,
+    recordStatus,
+    appendTranscript,
+  };
+}
+
+// Keep the call record in step with a media bridge's lifecycle. onEnded runs
+// once the end of the call has been saved.
+export function trackBridge(bridge, callRecords, direction, { onEnded } = {}) {
+  const log = (error) => console.error("[Calls] Error updating call record:", error);
+
+  bridge.on("started", ({ callSid, streamSid, session }) => {
+    callRecords
+      .upsert(callSid, {
+        direction,
+        from: session?.from,
+        to: session?.to,
+        agentId: session?.agentId,
+        dynamicVariables: session?.overrides?.dynamic_variables,
+        streamSid,
+        startedAt: new Date().toISOString(),
+      })
+      .catch(log);
+  });
+
+  // After a reconnect the call spans several ElevenLabs conversations
+  bridge.on("conversation", ({ conversationId, resumed }) => {
+    const fields = { conversationId };
+    if (resumed) fields.previousConversationIds = [...bridge.previousConversationIds];
+    callRecords.upsert(bridge.callSid, fields).catch(log);
+  });
+
+  bridge.on("firstAudio", (timings) => {
+    callRecords.upsert(bridge.callSid, { timings }).catch(log);
+  });
+
+  bridge.on("transcript", (entry) => {
+    callRecords.appendTranscript(bridge.callSid, entry).catch(log);
+  });
+
+  bridge.on("ended", ({ reason, detail }) => {
+    if (!bridge.callSid || reason === "unauthorized") return;
+    callRecords
+      .upsert(bridge.callSid, {
+        endedAt: new Date().toISOString(),
+        endReason: reason,
+        endDetail: detail,
+      })
+      .then(() => onEnded?.(), log);
+  });
+}
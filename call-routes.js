@@ -0,0 +1,123 @@
+import { createApiKeyGuard } from "./api-auth.js";
+import { createCallCsvStream, filterCalls } from "./call-export.js";
+import { transcriptToSrt, transcriptToText } from "./transcripts.js";
+
+// Call history: read access to the call records. Twilio's statusCallback,
+// which feeds them, is in twilio-webhooks.js.
+export function registerCallRoutes(fastify, config, { callRecords, recordings }) {
+  // loadCallConfig makes sure there is at least one key
+  const apiKeyGuard = createApiKeyGuard(config.callHistory);
+
+  // ?since=2026-01-01&until=2026-01-08 (until is exclusive) and
+  // ?direction=inbound|outbound, all optional
+  fastify.get(
+    "/calls/export.csv",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const { since, until, direction } = request.query;
+      const filters = {};
+
+      for (const [name, value] of Object.entries({ since, until })) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return reply.code(400).send({
+            success: false,
+            code: "invalid_request",
+            error: `${name} must be an ISO 8601 date`,
+          });
+        }
+        filters[name] = date;
+      }
+
+      if (direction !== undefined && !["inbound", "outbound"].includes(direction)) {
+        return reply.code(400).send({
+          success: false,
+          code: "invalid_request",
+          error: "direction must be inbound or outbound",
+        });
+      }
+      filters.direction = direction;
+
+      const calls = filterCalls(await callRecords.list(), filters);
+
+      return reply
+        .type("text/csv; charset=utf-8")
+        .header("Content-Disposition", 'attachment; filename="calls.csv"')
+        .send(createCallCsvStream(calls));
+    }
+  );
+
+  fastify.get(
+    "/calls/:callSid",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const call = await callRecords.get(request.params.callSid);
+
+      if (!call) {
+        return reply.code(404).send({ success: false, code: "not_found", error: "Call not found" });
+      }
+
+      reply.send({ success: true, call });
+    }
+  );
+
+  // ?format=json (default), text or srt
+  fastify.get(
+    "/calls/:callSid/transcript",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const call = await callRecords.get(request.params.callSid);
+
+      if (!call) {
+        return reply.code(404).send({ success: false, code: "not_found", error: "Call not found" });
+      }
+
+      const transcript = call.transcript || [];
+
+      switch (request.query.format || "json") {
+        case "json":
+          return reply.send({ success: true, callSid: call.callSid, transcript });
+        case "text":
+          return reply.type("text/plain; charset=utf-8").send(transcriptToText(transcript));
+        case "srt":
+          return reply
+            .type("application/x-subrip; charset=utf-8")
+            .header("Content-Disposition", `attachment; filename="${call.callSid}.srt"`)
+            .send(transcriptToSrt(transcript));
+        default:
+          return reply.code(400).send({
+            success: false,
+            code: "invalid_request",
+            error: "format must be json, text or srt",
+          });
+      }
+    }
+  );
+
+  fastify.get(
+    "/calls/:callSid/recording",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const call = await callRecords.get(request.params.callSid);
+
+      // Recordings kept elsewhere (e.g. Firebase) are served from there
+      if (call?.recording?.url) {
+        return reply.redirect(call.recording.url);
+      }
+
+      const recording = call?.recording && (await recordings.open(call.recording));
+      if (!recording) {
+        return reply
+          .code(404)
+          .send({ success: false, code: "not_found", error: "Recording not found" });
+      }
+
+      return reply
+        .type(recording.contentType)
+        .header("Content-Length", recording.size)
+        .header("Content-Disposition", `attachment; filename="${call.callSid}.wav"`)
+        .send(recording.stream);
+    }
+  );
+}
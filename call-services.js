@@ -0,0 +1,99 @@
+import Twilio from "twilio";
+import { createAgentFallback } from "./agent-fallback.js";
+import { createApiKeyGuard } from "./api-auth.js";
+import { createAgentWarmup } from "./agent-warmup.js";
+import { createCampaigns } from "./campaigns.js";
+import { createCallHangup } from "./call-hangup.js";
+import { recordBridge } from "./call-recorder.js";
+import { createCallRecords, trackBridge } from "./call-records.js";
+import { createToolRegistry } from "./client-tools.js";
+import { createCallSessions } from "./call-sessions.js";
+import { createElevenLabsClient } from "./elevenlabs.js";
+import { createOutboundDialer } from "./outbound-dialer.js";
+import { createRecordingStorage } from "./recording-storage.js";
+import { createResultWebhooks } from "./result-webhooks.js";
+import { createScheduledCalls } from "./scheduled-calls.js";
+import { createTransfers } from "./transfers.js";
+
+// State shared by the inbound, outbound and call-history routes. index.js
+// creates one set and hands it to every register function so they all see
+// the same calls.
+export function createCallServices(config) {
+  const callRecords = createCallRecords(config.storage);
+  const elevenLabs = createElevenLabsClient(config.elevenLabs);
+  const tools = createToolRegistry(config.clientTools, {
+    signingSecret: config.callbacks.signingSecret,
+  });
+
+  // REST client for acting on live calls; inbound-only setups may run
+  // without Twilio credentials
+  const { accountSid, authToken } = config.twilio;
+  const twilioClient = accountSid && authToken ? new Twilio(accountSid, authToken) : null;
+
+  const transfers = createTransfers(config, { callRecords, tools, twilioClient });
+
+  const services = {
+    callRecords,
+    sessions: createCallSessions(config.storage),
+    recordings: createRecordingStorage({ ...config.recording, dir: config.storage.dir }),
+    resultWebhooks: createResultWebhooks({
+      secret: config.callbacks.signingSecret,
+      publicBaseUrl: config.twilio.publicBaseUrl,
+      elevenLabs,
+      callRecords,
+      recordingEnabled: config.recording.enabled,
+    }),
+    elevenLabs,
+    twilioClient,
+    tools,
+    warmup: createAgentWarmup(config, { elevenLabs }),
+    transfers,
+    hangup: createCallHangup(config, { twilioClient, tools }),
+    fallback: createAgentFallback(config, { twilioClient, transfers }),
+  };
+
+  if (config.outbound.enabled) {
+    // One guard so /outbound-call and campaigns share each key's quota
+    services.apiKeyGuard = createApiKeyGuard(config.outbound);
+    services.dialer = createOutboundDialer(config, services);
+    services.campaigns = createCampaigns({
+      storage: config.storage,
+      dialer: services.dialer,
+      callRecords,
+      apiKeyGuard: services.apiKeyGuard,
+    });
+    services.scheduledCalls = createScheduledCalls({
+      storage: config.storage,
+      dialer: services.dialer,
+    });
+  }
+
+  return services;
+}
+
+// Wire a media-stream bridge up to the shared services: the call record,
+// hangup rules, client tools, the fallback for a lost agent, the recording
+// (when `record` is set) and the session, which is only needed while the
+// call is live. `baseUrl` is the public origin Twilio calls back on.
+export function attachCallServices(bridge, services, { direction, baseUrl, record }) {
+  // Result callbacks wait for the bridge's last writes as well as Twilio's
+  // final status
+  const notify = () =>
+    services.resultWebhooks.notify(bridge.callSid).catch((error) =>
+      console.error(`[Callbacks] Error sending result for ${bridge.callSid}:`, error)
+    );
+
+  trackBridge(bridge, services.callRecords, direction, { onEnded: notify });
+  services.hangup.attach(bridge);
+  services.tools.attach(bridge, { direction, baseUrl });
+  bridge.onAgentLost = (lost) => services.fallback.takeOver(lost, { baseUrl });
+  if (record) {
+    recordBridge(bridge, services, { onSaved: notify });
+  }
+
+  bridge.on("ended", () => {
+    services.sessions.remove(bridge.session?.id).catch((error) =>
+      console.error("[Sessions] Error removing session:", error)
+    );
+  });
+}
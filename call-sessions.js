@@ -0,0 +1,51 @@
+import crypto from "crypto";
+import { createStore } from "./stores.js";
+
+// Per-call data captured when a call is requested (prompt, first message,
+// dynamic variables, metadata). Only the session id travels through Twilio;
+// the media-stream handler loads the rest on "start".
+
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+export function createCallSessions(storage) {
+  const store = createStore(storage, "sessions");
+
+  async function create(data) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    await store.set(id, { ...data, id, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+    return id;
+  }
+
+  async function get(id) {
+    if (!id) return null;
+
+    const session = await store.get(id);
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+      await store.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  async function remove(id) {
+    if (id) await store.delete(id);
+  }
+
+  // Drop sessions for calls that were never answered
+  async function prune() {
+    const now = Date.now();
+    for (const session of await store.list()) {
+      if (session.expiresAt < now) await store.delete(session.id);
+    }
+  }
+
+  const timer = setInterval(() => {
+    prune().catch((error) => console.error("[Sessions] Error pruning sessions:", error));
+  }, SESSION_TTL_MS / 4);
+  timer.unref();
+
+  return { create, get, remove };
+}
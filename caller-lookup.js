@@ -0,0 +1,141 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Resolves an inbound caller's number into what we know about them, so the
+// agent can greet them by name. Backends:
+//
+//   file - JSON array or CSV with columns number,name,account_status,notes
+//   http - GET <url>?number=+1555... returning { name, account_status, notes }
+//
+// Lookups never fail a call: errors and timeouts resolve to "unknown caller".
+
+function normalizeNumber(number) {
+  const digits = String(number || "").replace(/[^\d]/g, "");
+  return digits ? `+${digits}` : "";
+}
+
+// Small RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF rows
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((value) => value !== ""));
+  const columns = header.map((name) => name.trim());
+  return records.map((record) =>
+    Object.fromEntries(columns.map((name, index) => [name, record[index] ?? ""]))
+  );
+}
+
+function createFileLookup(file) {
+  let contacts = new Map();
+  let loadedMtime = 0;
+
+  // Re-read the file whenever it changes so edits apply without a restart
+  async function load() {
+    const { mtimeMs } = await fs.stat(file);
+    if (mtimeMs === loadedMtime) return;
+
+    const text = await fs.readFile(file, "utf8");
+    const records =
+      path.extname(file).toLowerCase() === ".csv" ? parseCsv(text) : JSON.parse(text);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`${file} must contain an array of contacts`);
+    }
+
+    contacts = new Map(records.map((record) => [normalizeNumber(record.number), record]));
+    loadedMtime = mtimeMs;
+    console.log(`[CallerLookup] Loaded ${contacts.size} contacts from ${file}`);
+  }
+
+  return async (number) => {
+    await load();
+    return contacts.get(normalizeNumber(number)) || null;
+  };
+}
+
+function createHttpLookup(url, token, timeoutMs) {
+  return async (number) => {
+    const lookupUrl = new URL(url);
+    lookupUrl.searchParams.set("number", number);
+
+    const response = await fetch(lookupUrl, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Caller lookup failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  };
+}
+
+export function createCallerLookup({ backend, file, url, token, timeoutMs }) {
+  let find = null;
+  if (backend === "file") find = createFileLookup(file);
+  if (backend === "http") find = createHttpLookup(url, token, timeoutMs);
+
+  // Dynamic variables for the caller. Every key is always present so agent
+  // prompts referencing them never see an undefined variable.
+  async function lookup(number) {
+    if (!find || !number) return null;
+
+    let contact = null;
+    try {
+      contact = await Promise.race([
+        find(number),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error("Caller lookup timed out")), timeoutMs).unref()
+        ),
+      ]);
+    } catch (error) {
+      console.error(`[CallerLookup] Error looking up ${number}:`, error.message);
+    }
+
+    return {
+      caller_known: Boolean(contact),
+      caller_name: contact?.name || "",
+      caller_account_status: contact?.account_status || "",
+      caller_notes: contact?.notes || "",
+    };
+  }
+
+  return { enabled: Boolean(find), lookup };
+}
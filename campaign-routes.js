@@ -0,0 +1,141 @@
+import { resolveVoicemail } from "./answering-machine.js";
+import { isValidTimeZone, parseContacts, summarizeCampaign } from "./campaigns.js";
+import { webhookUrl } from "./twiml.js";
+import { campaignBodySchema, validationErrorResponse } from "./validation.js";
+
+// Bulk outbound campaigns: upload a contact list, then follow and steer the
+// runner. Every route needs an outbound API key.
+export function registerCampaignRoutes(fastify, config, { campaigns, apiKeyGuard }) {
+  // Resumes campaigns that were running when the server last stopped
+  campaigns.start();
+
+  const notFound = (reply) =>
+    reply.code(404).send({ success: false, code: "not_found", error: "Campaign not found" });
+
+  fastify.post(
+    "/campaigns",
+    {
+      preHandler: apiKeyGuard.authenticate,
+      schema: { body: campaignBodySchema },
+      attachValidation: true,
+    },
+    async (request, reply) => {
+      if (request.validationError) {
+        return reply.code(400).send(validationErrorResponse(request.validationError));
+      }
+
+      const {
+        name,
+        contacts_csv: contactsCsv,
+        concurrency,
+        window,
+        retry,
+        metadata,
+        callback_url: callbackUrl,
+        machine_detection: voicemailAction,
+        voicemail_message: voicemailMessage,
+        ...overrides
+      } = request.body;
+
+      if (window?.timezone && !isValidTimeZone(window.timezone)) {
+        return reply.code(400).send({
+          success: false,
+          code: "invalid_request",
+          error: `window.timezone "${window.timezone}" is not a known time zone`,
+        });
+      }
+
+      const voicemail = { action: voicemailAction, message: voicemailMessage };
+      if (["agent", "message"].includes(voicemail.action) &&
+          !resolveVoicemail(config.answeringMachine, voicemail).message) {
+        return reply.code(400).send({
+          success: false,
+          code: "invalid_request",
+          error: `voicemail_message is required when machine_detection is ${voicemail.action}`,
+        });
+      }
+
+      if (callbackUrl && !config.callbacks.signingSecret) {
+        return reply.code(400).send({
+          success: false,
+          code: "callbacks_disabled",
+          error: "callback_url needs CALLBACK_SIGNING_SECRET to be configured on the server",
+        });
+      }
+
+      const { contacts, errors } = parseContacts(contactsCsv);
+      if (errors.length > 0) {
+        return reply.code(400).send({
+          success: false,
+          code: "invalid_contacts",
+          error: `${errors.length} contact row(s) are invalid`,
+          rows: errors,
+        });
+      }
+
+      const campaign = await campaigns.create({
+        name,
+        contacts,
+        concurrency,
+        window,
+        retry,
+        overrides,
+        voicemail,
+        metadata,
+        callbackUrl,
+        createdBy: request.apiKeyName,
+        // The runner dials without a request to hand, so remember where
+        // Twilio should call back
+        baseUrl: webhookUrl(request, "", config.twilio.publicBaseUrl),
+      });
+
+      reply.code(201).send({ success: true, campaign: summarizeCampaign(campaign) });
+    }
+  );
+
+  fastify.get(
+    "/campaigns",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const list = (await campaigns.list())
+        .map(summarizeCampaign)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      reply.send({ success: true, campaigns: list });
+    }
+  );
+
+  fastify.get(
+    "/campaigns/:id",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const campaign = await campaigns.get(request.params.id);
+      if (!campaign) return notFound(reply);
+
+      reply.send({ success: true, campaign });
+    }
+  );
+
+  for (const action of ["pause", "resume", "cancel"]) {
+    fastify.post(
+      `/campaigns/:id/${action}`,
+      { preHandler: apiKeyGuard.authenticate },
+      async (request, reply) => {
+        try {
+          const campaign = await campaigns[action](request.params.id);
+          if (!campaign) return notFound(reply);
+
+          reply.send({ success: true, campaign: summarizeCampaign(campaign) });
+        } catch (error) {
+          if (error.code !== "invalid_state") throw error;
+
+          reply.code(409).send({
+            success: false,
+            code: "invalid_state",
+            error: `Cannot ${action}: ${error.message}`,
+          });
+        }
+      }
+    );
+  }
+}
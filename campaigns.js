@@ -0,0 +1,378 @@
+import crypto from "crypto";
+import { parseCsv } from "./caller-lookup.js";
+import { TERMINAL_STATUSES } from "./result-webhooks.js";
+import { createKeyedQueue, createStore } from "./stores.js";
+import { isE164Number } from "./validation.js";
+
+// Bulk outbound campaigns: a list of contacts dialled a few at a time inside a
+// calling window, with retries for calls nobody answered. Campaigns are always
+// kept on disk, whatever STORAGE_BACKEND says, so a restart picks up where the
+// runner left off.
+//
+// Contact states:   pending -> dialing -> completed | failed
+//                                      -> waiting_retry -> dialing ...
+//                   pending | waiting_retry -> cancelled (campaign cancelled)
+// Campaign states:  running <-> paused, running | paused -> cancelled,
+//                   running -> completed once every contact is settled
+//
+// A contact is saved as dialing before its call is placed. One found dialing
+// without a call SID was left mid-dial by a restart; the call may or may not
+// have gone out, so it counts as a failed attempt rather than being dialled
+// again.
+
+const TICK_MS = 5000;
+// After this long without a final status callback, ask Twilio directly
+const STALE_DIAL_MS = 30 * 60 * 1000;
+const DYNAMIC_VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+const SETTLED = ["completed", "failed", "cancelled"];
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ISO weekday and "HH:MM" wall-clock time of `date` in `timeZone`
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  return { weekday: WEEKDAYS[parts.weekday], time: `${parts.hour}:${parts.minute}` };
+}
+
+// A window whose end is before its start runs overnight (e.g. 18:00-02:00)
+export function isWithinWindow(window, timeZone, date = new Date()) {
+  if (!window) return true;
+
+  const { weekday, time } = localTime(date, timeZone || window.timezone || "UTC");
+  if (window.days && !window.days.includes(weekday)) return false;
+
+  if (window.start <= window.end) return time >= window.start && time < window.end;
+  return time >= window.start || time < window.end;
+}
+
+// Turn the uploaded CSV into contacts. Returns every bad row rather than
+// stopping at the first so the sheet can be fixed in one go.
+export function parseContacts(text) {
+  const rows = parseCsv(text);
+  const contacts = [];
+  const errors = [];
+  const seen = new Set();
+
+  if (rows.length === 0) {
+    return { contacts, errors: [{ row: 1, error: "CSV has no contacts" }] };
+  }
+
+  const columns = Object.keys(rows[0]);
+  if (!columns.includes("number")) {
+    return { contacts, errors: [{ row: 1, error: "CSV needs a number column" }] };
+  }
+
+  const badColumns = columns.filter(
+    (column) => column !== "number" && column !== "timezone" && !DYNAMIC_VARIABLE_NAME.test(column)
+  );
+  if (badColumns.length > 0) {
+    return {
+      contacts,
+      errors: [{ row: 1, error: `Column names must be valid variable names: ${badColumns.join(", ")}` }],
+    };
+  }
+
+  rows.forEach(({ number, timezone, ...variables }, index) => {
+    // Row 1 is the header
+    const row = index + 2;
+    number = number?.trim();
+
+    if (!isE164Number(number)) {
+      errors.push({ row, error: `number must be in E.164 format, got "${number || ""}"` });
+    } else if (seen.has(number)) {
+      errors.push({ row, error: `${number} is listed more than once` });
+    } else if (timezone && !isValidTimeZone(timezone)) {
+      errors.push({ row, error: `Unknown timezone "${timezone}"` });
+    } else {
+      seen.add(number);
+      contacts.push({
+        id: String(contacts.length + 1),
+        number,
+        timezone: timezone || undefined,
+        dynamicVariables: variables,
+        status: "pending",
+        attempts: [],
+      });
+    }
+  });
+
+  return { contacts, errors };
+}
+
+function countContacts(contacts) {
+  const counts = {};
+  for (const contact of contacts) {
+    counts[contact.status] = (counts[contact.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// Campaign without its contact list, for listings
+export function summarizeCampaign({ contacts, ...campaign }) {
+  return { ...campaign, contactCount: contacts.length, contacts: countContacts(contacts) };
+}
+
+// Each call placed counts against the daily quota of the API key that created
+// the campaign; once it's used up, dialing waits for the quota to reset.
+export function createCampaigns({ storage, dialer, callRecords, apiKeyGuard, tickMs = TICK_MS }) {
+  const store = createStore({ ...storage, backend: "file" }, "campaigns");
+  const enqueue = createKeyedQueue();
+  let timer = null;
+  let ticking = false;
+
+  // The runner and the pause / resume / cancel routes both patch campaigns.
+  // `apply` may be async because dialing happens inside the update.
+  function update(id, apply) {
+    return enqueue(id, async () => {
+      const campaign = await store.get(id);
+      if (!campaign) return null;
+
+      await apply(campaign);
+      campaign.updatedAt = new Date().toISOString();
+      await store.set(id, campaign);
+      return campaign;
+    });
+  }
+
+  async function create({ name, contacts, concurrency, window, retry, overrides, voicemail, metadata, callbackUrl, createdBy, baseUrl }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const campaign = {
+      id,
+      name: name || `Campaign ${now}`,
+      status: "running",
+      createdAt: now,
+      updatedAt: now,
+      createdBy,
+      baseUrl,
+      concurrency: concurrency || 1,
+      window,
+      retry: {
+        maxAttempts: retry?.max_attempts || 1,
+        delayMinutes: retry?.delay_minutes || 30,
+        on: retry?.on || ["no-answer", "busy"],
+      },
+      overrides,
+      voicemail,
+      metadata,
+      callbackUrl,
+      contacts,
+    };
+
+    await store.set(id, campaign);
+    console.log(`[Campaigns] Created "${campaign.name}" (${id}) with ${contacts.length} contacts`);
+
+    // Don't wait for the next tick to start dialing
+    tick();
+    return campaign;
+  }
+
+  // Move a campaign between states; returns null when it doesn't exist and
+  // throws when the transition isn't allowed
+  function transition(id, from, to) {
+    return update(id, (campaign) => {
+      if (!from.includes(campaign.status)) {
+        const error = new Error(`Campaign is ${campaign.status}`);
+        error.code = "invalid_state";
+        throw error;
+      }
+
+      campaign.status = to;
+      if (to === "cancelled") {
+        campaign.endedAt = new Date().toISOString();
+        for (const contact of campaign.contacts) {
+          if (contact.status === "pending" || contact.status === "waiting_retry") {
+            contact.status = "cancelled";
+            delete contact.nextAttemptAt;
+          }
+        }
+      }
+      console.log(`[Campaigns] ${id} is ${to}`);
+    });
+  }
+
+  // Final Twilio status of a contact's current call, or null while it's live
+  async function callOutcome(contact) {
+    const record = await callRecords.get(contact.callSid);
+    if (TERMINAL_STATUSES.includes(record?.status)) return record.status;
+
+    const startedAt = new Date(contact.attempts.at(-1).at).getTime();
+    if (Date.now() - startedAt < STALE_DIAL_MS) return null;
+
+    try {
+      const call = await dialer.twilioClient.calls(contact.callSid).fetch();
+      return TERMINAL_STATUSES.includes(call.status) ? call.status : null;
+    } catch (error) {
+      console.error(`[Campaigns] Error fetching call ${contact.callSid}:`, error.message);
+      return null;
+    }
+  }
+
+  function settle(campaign, contact, outcome) {
+    contact.attempts.at(-1).status = outcome;
+    contact.outcome = outcome;
+    delete contact.callSid;
+
+    const { maxAttempts, delayMinutes, on } = campaign.retry;
+    if (outcome === "completed") {
+      contact.status = "completed";
+    } else if (campaign.status !== "cancelled" && on.includes(outcome) && contact.attempts.length < maxAttempts) {
+      contact.status = "waiting_retry";
+      contact.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+    } else {
+      contact.status = "failed";
+    }
+  }
+
+  async function dial(campaign, contact) {
+    const attempt = { at: new Date().toISOString() };
+    contact.attempts.push(attempt);
+    contact.status = "dialing";
+    delete contact.nextAttemptAt;
+    // We're inside update(), so this can't race the runner or the routes
+    campaign.updatedAt = attempt.at;
+    await store.set(campaign.id, campaign);
+
+    try {
+      const call = await dialer.placeCall({
+        number: contact.number,
+        overrides: {
+          ...campaign.overrides,
+          dynamic_variables: {
+            ...campaign.overrides?.dynamic_variables,
+            ...contact.dynamicVariables,
+          },
+        },
+        voicemail: campaign.voicemail,
+        metadata: campaign.metadata,
+        callbackUrl: campaign.callbackUrl,
+        requestedBy: campaign.createdBy,
+        baseUrl: campaign.baseUrl,
+        record: { campaignId: campaign.id, campaignContactId: contact.id },
+      });
+
+      attempt.callSid = call.sid;
+      contact.callSid = call.sid;
+      apiKeyGuard.countCall(campaign.createdBy);
+      console.log(`[Campaigns] ${campaign.id} calling ${contact.number} (attempt ${contact.attempts.length})`);
+    } catch (error) {
+      console.error(`[Campaigns] ${campaign.id} could not call ${contact.number}:`, error.message);
+      attempt.error = error.message;
+      settle(campaign, contact, "failed");
+    }
+  }
+
+  function advance(id) {
+    return update(id, async (campaign) => {
+      for (const contact of campaign.contacts) {
+        if (contact.status !== "dialing") continue;
+
+        if (!contact.callSid) {
+          contact.attempts.at(-1).error = "Interrupted by a server restart while dialing";
+          settle(campaign, contact, "failed");
+          continue;
+        }
+
+        const outcome = await callOutcome(contact);
+        if (outcome) settle(campaign, contact, outcome);
+      }
+
+      if (campaign.status === "running") {
+        const now = new Date();
+        let slots =
+          campaign.concurrency - campaign.contacts.filter((c) => c.status === "dialing").length;
+
+        for (const contact of campaign.contacts) {
+          if (slots <= 0) break;
+
+          const due =
+            contact.status === "pending" ||
+            (contact.status === "waiting_retry" && new Date(contact.nextAttemptAt) <= now);
+          if (!due || !isWithinWindow(campaign.window, contact.timezone, now)) continue;
+
+          if (!apiKeyGuard.hasQuota(campaign.createdBy)) {
+            if (!campaign.waitingForQuota) {
+              console.warn(`[Campaigns] ${id} waiting for "${campaign.createdBy}"'s daily quota to reset`);
+            }
+            campaign.waitingForQuota = true;
+            break;
+          }
+          delete campaign.waitingForQuota;
+
+          await dial(campaign, contact);
+          if (contact.status === "dialing") slots--;
+        }
+
+        if (campaign.contacts.every((contact) => SETTLED.includes(contact.status))) {
+          campaign.status = "completed";
+          campaign.endedAt = new Date().toISOString();
+          console.log(`[Campaigns] ${id} completed`);
+        }
+      }
+    });
+  }
+
+  // Paused and cancelled campaigns still follow their calls in progress
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      for (const campaign of await store.list()) {
+        const active =
+          campaign.status === "running" ||
+          campaign.contacts.some((contact) => contact.status === "dialing");
+        if (!active) continue;
+
+        await advance(campaign.id).catch((error) =>
+          console.error(`[Campaigns] Error advancing ${campaign.id}:`, error)
+        );
+      }
+    } catch (error) {
+      console.error("[Campaigns] Error running campaigns:", error);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, tickMs);
+    timer.unref();
+    tick();
+  }
+
+  return {
+    create,
+    get: (id) => store.get(id),
+    list: () => store.list(),
+    pause: (id) => transition(id, ["running"], "paused"),
+    resume: async (id) => {
+      const campaign = await transition(id, ["paused"], "running");
+      tick();
+      return campaign;
+    },
+    cancel: (id) => transition(id, ["running", "paused"], "cancelled"),
+    start,
+  };
+}
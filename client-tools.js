@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { signPayload } from "./result-webhooks.js";
+
+// Client tools the agent can call mid-conversation (ElevenLabs
+// client_tool_call). Handlers come from the JSON file named by
+// CLIENT_TOOLS_FILE:
+//
+//   {
+//     "tools": [
+//       {
+//         "name": "lookup_order",
+//         "webhook": { "url": "https://...", "headers": { "Authorization": "Bearer ..." } },
+//         "timeout_ms": 5000
+//       },
+//       { "name": "book_appointment", "module": "./tools/book-appointment.js" }
+//     ]
+//   }
+//
+// Webhooks are POSTed { tool, tool_call_id, parameters, call } and answer with
+// JSON (its `result` field if present, else the whole body) or text. Modules
+// (paths relative to the tools file) export a default function called with
+// (parameters, context). Whatever a handler returns goes back to the agent as
+// the client_tool_result; a thrown error or non-2xx answer is sent as an error.
+//
+// The server also registers built-in tools (e.g. transfer_to_human) through
+// registry.register(); a tool of the same name in the file takes precedence.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const TOOL_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+function parseTool(tool, index, baseDir) {
+  const where = `tool ${index + 1}`;
+
+  if (tool === null || typeof tool !== "object" || Array.isArray(tool)) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (typeof tool.name !== "string" || !TOOL_NAME.test(tool.name)) {
+    throw new Error(`${where}: "name" must be letters, digits, _ or -`);
+  }
+  if (Boolean(tool.webhook) === Boolean(tool.module)) {
+    throw new Error(`${where} (${tool.name}): set exactly one of "webhook" and "module"`);
+  }
+  if (tool.timeout_ms !== undefined && !(Number.isInteger(tool.timeout_ms) && tool.timeout_ms > 0)) {
+    throw new Error(`${where} (${tool.name}): "timeout_ms" must be a positive whole number`);
+  }
+
+  const parsed = { name: tool.name, timeoutMs: tool.timeout_ms || DEFAULT_TIMEOUT_MS };
+
+  if (tool.webhook) {
+    try {
+      new URL(tool.webhook.url);
+    } catch {
+      throw new Error(`${where} (${tool.name}): "webhook.url" must be a valid URL`);
+    }
+    parsed.webhook = { url: tool.webhook.url, headers: tool.webhook.headers || {} };
+  } else {
+    const file = path.resolve(baseDir, tool.module);
+    if (!fs.existsSync(file)) {
+      throw new Error(`${where} (${tool.name}): module ${file} not found`);
+    }
+    parsed.module = file;
+  }
+
+  return parsed;
+}
+
+// Read and validate the tools file; throws on any problem so a bad file is
+// caught at startup. No file means no tools.
+export function loadClientTools(file) {
+  if (!file) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`CLIENT_TOOLS_FILE could not be read: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed?.tools)) {
+    throw new Error('CLIENT_TOOLS_FILE must contain a "tools" array');
+  }
+
+  const baseDir = path.dirname(path.resolve(file));
+  return parsed.tools.map((tool, index) => parseTool(tool, index, baseDir));
+}
+
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function webhookHandler({ name, webhook, timeoutMs }, signingSecret) {
+  return async (parameters, { toolCallId, bridge, baseUrl, ...call }) => {
+    const body = JSON.stringify({ tool: name, tool_call_id: toolCallId, parameters, call });
+    const headers = { "Content-Type": "application/json", ...webhook.headers };
+
+    if (signingSecret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers["X-Signature-Timestamp"] = timestamp;
+      headers["X-Signature"] = signPayload(signingSecret, timestamp, body);
+    }
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`${name} webhook answered ${response.status}`);
+    }
+
+    if (!response.headers.get("content-type")?.includes("application/json")) {
+      return response.text();
+    }
+    const result = await response.json();
+    return result !== null && typeof result === "object" && "result" in result ? result.result : result;
+  };
+}
+
+function moduleHandler({ name, module, timeoutMs }) {
+  let loaded = null;
+
+  return async (parameters, context) => {
+    loaded ??= import(pathToFileURL(module).href).then(({ default: handler }) => {
+      if (typeof handler !== "function") {
+        throw new Error(`${module} must export a default function`);
+      }
+      return handler;
+    });
+
+    const handler = await loaded;
+    return withTimeout(Promise.resolve(handler(parameters, context)), timeoutMs, name);
+  };
+}
+
+export function createToolRegistry(tools = [], { signingSecret } = {}) {
+  const handlers = new Map();
+  const fromFile = new Set();
+
+  for (const tool of tools) {
+    handlers.set(tool.name, tool.webhook ? webhookHandler(tool, signingSecret) : moduleHandler(tool));
+    fromFile.add(tool.name);
+  }
+
+  // handler(parameters, context) may return a value or a promise of one
+  function register(name, handler) {
+    if (fromFile.has(name)) return;
+    handlers.set(name, handler);
+  }
+
+  async function run(bridge, { toolName, toolCallId, parameters }, context) {
+    const handler = handlers.get(toolName);
+    if (!handler) {
+      console.warn(`[Tools] No handler for tool ${toolName}`);
+      bridge.sendToolResult(toolCallId, `Unknown tool: ${toolName}`, true);
+      return;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await handler(parameters, { ...context, toolCallId });
+      console.log(`[Tools] ${toolName} answered in ${Date.now() - startedAt}ms`);
+      bridge.sendToolResult(toolCallId, result ?? "");
+    } catch (error) {
+      console.error(`[Tools] ${toolName} failed:`, error.message);
+      bridge.sendToolResult(toolCallId, error.message, true);
+    }
+  }
+
+  // Answer the bridge's tool calls. Handlers get the call so far as context;
+  // `bridge` is included for built-ins that act on the live call.
+  function attach(bridge, { direction, baseUrl }) {
+    bridge.on("toolCall", (call) => {
+      const session = bridge.session || {};
+      const context = {
+        callSid: bridge.callSid,
+        streamSid: bridge.streamSid,
+        conversationId: bridge.conversationId,
+        direction,
+        from: session.from,
+        to: session.to,
+        agentId: session.agentId,
+        metadata: session.metadata,
+        transcript: [...bridge.transcript],
+        baseUrl,
+        bridge,
+      };
+
+      run(bridge, call, context);
+    });
+  }
+
+  return { register, attach };
+}
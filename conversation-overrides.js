@@ -0,0 +1,64 @@
+// Builds the conversation_initiation_client_data message ElevenLabs expects as
+// the first message on the socket. Only fields that were actually provided are
+// sent, since the agent rejects overrides it has not enabled in its security
+// settings.
+
+function compact(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value === "object" && !Array.isArray(value)) {
+      const nested = compact(value);
+      if (Object.keys(nested).length > 0) result[key] = nested;
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// overrides: { prompt, first_message, language, voice_id, tts: { stability,
+// similarity_boost, speed }, dynamic_variables }
+export function buildInitiationData(overrides = {}) {
+  const { prompt, first_message, language, voice_id, tts, dynamic_variables } = overrides;
+
+  const conversationConfigOverride = compact({
+    agent: {
+      prompt: { prompt },
+      first_message,
+      language,
+    },
+    tts: {
+      voice_id,
+      ...tts,
+    },
+  });
+
+  const initiationData = { type: "conversation_initiation_client_data" };
+
+  if (Object.keys(conversationConfigOverride).length > 0) {
+    initiationData.conversation_config_override = conversationConfigOverride;
+  }
+  if (dynamic_variables && Object.keys(dynamic_variables).length > 0) {
+    initiationData.dynamic_variables = dynamic_variables;
+  }
+
+  return initiationData;
+}
+
+// Initiation data for a conversation resumed after a dropped connection: the
+// same settings, opening with `firstMessage` instead of the usual greeting.
+// Overriding the first message needs that override enabled on the agent.
+export function resumeInitiationData(initiationData, firstMessage) {
+  const data = initiationData || buildInitiationData();
+  if (!firstMessage) return data;
+
+  const override = data.conversation_config_override || {};
+  return {
+    ...data,
+    conversation_config_override: {
+      ...override,
+      agent: { ...override.agent, first_message: firstMessage },
+    },
+  };
+}
@@ -0,0 +1,82 @@
+// Helpers for the ElevenLabs Conversational AI REST endpoints, shared by the
+// inbound and outbound routes.
+
+const API_BASE = "https://api.elevenlabs.io/v1/convai";
+
+export function createElevenLabsClient({ apiKey, agentId }) {
+  // Helper function to get signed URL for authenticated conversations
+  async function getSignedUrl(id = agentId) {
+    try {
+      const response = await fetch(
+        `${API_BASE}/conversation/get_signed_url?agent_id=${id}`,
+        {
+          method: "GET",
+          headers: {
+            "xi-api-key": apiKey,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to get signed URL: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.signed_url;
+    } catch (error) {
+      console.error("Error getting signed URL:", error);
+      throw error;
+    }
+  }
+
+  // The agent's full configuration (GET /agents/:id)
+  async function fetchAgentConfig(id = agentId) {
+    const response = await fetch(`${API_BASE}/agents/${id}`, {
+      method: "GET",
+      headers: {
+        "xi-api-key": apiKey,
+        "Content-Type": "application/json",
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to get ElevenLabs agent: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  // Normal mode talks to a public agent directly, every other mode signs in
+  async function getConversationUrl(mode, id = agentId) {
+    if (mode === "normal") {
+      return `wss://api.elevenlabs.io/v1/convai/conversation?agent_id=${id}`;
+    }
+    return getSignedUrl(id);
+  }
+
+  // Conversation details after the call: transcript, analysis and data
+  // collection results. `status` stays "processing" until analysis is done.
+  async function getConversation(conversationId) {
+    const response = await fetch(`${API_BASE}/conversations/${conversationId}`, {
+      method: "GET",
+      headers: {
+        "xi-api-key": apiKey,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to get conversation: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  return {
+    getSignedUrl,
+    fetchAgentConfig,
+    getConversationUrl,
+    getConversation,
+    // Conversation details need an API key, public-agent deployments lack one
+    canFetchConversations: Boolean(apiKey),
+  };
+}
@@ -1,180 +1,125 @@
-import WebSocket from "ws";
-
-export function registerInboundRoutes(fastify) {
-  // Check for the required environment variables
-  const { ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID } = process.env;
-
-  if (!ELEVENLABS_API_KEY || !ELEVENLABS_AGENT_ID) {
-    console.error("Missing required environment variables");
-    throw new Error("Missing ELEVENLABS_API_KEY or ELEVENLABS_AGENT_ID");
+import { CallBridge } from "./call-bridge.js";
+import { resolveRouteConfig } from "./call-config.js";
+import { attachCallServices, createCallServices } from "./call-services.js";
+import { createCallerLookup } from "./caller-lookup.js";
+import { buildInitiationData } from "./conversation-overrides.js";
+import { resolveInboundRoute } from "./inbound-routing.js";
+import { createTwilioSecurity } from "./twilio-security.js";
+import { connectStreamTwiml, mediaStreamUrl, webhookUrl } from "./twiml.js";
+import { registerTwilioWebhooks } from "./twilio-webhooks.js";
+
+export function registerInboundRoutes(
+  fastify,
+  config = resolveRouteConfig("inbound"),
+  services = createCallServices(config)
+) {
+  const { mode, prompt, firstMessage, routes } = config.inbound;
+  const security = createTwilioSecurity(config.twilio);
+  const { callRecords, sessions, elevenLabs } = services;
+  const callerLookup = createCallerLookup(config.callerLookup);
+
+  console.info(
+    `[Server] Inbound calls using "${mode}" mode with ${routes.length} number route(s)`
+  );
+
+  // Status callbacks for the number's calls, and whispers for their transfers
+  registerTwilioWebhooks(fastify, config, services);
+
+  // Route-specific settings win over the custom-prompt defaults; the other
+  // modes only send what the matched route provides.
+  async function buildInitialConfig({ session }) {
+    const defaults =
+      mode === "custom-prompt" ? { prompt, first_message: firstMessage } : {};
+
+    return buildInitiationData({
+      ...defaults,
+      ...session?.overrides,
+      dynamic_variables: {
+        caller_number: session?.from || "",
+        called_number: session?.to || "",
+        ...session?.caller,
+        ...session?.overrides?.dynamic_variables,
+      },
+    });
   }
 
-  // Helper function to get signed URL for authenticated conversations
-  async function getSignedUrl() {
-    try {
-      const response = await fetch(
-        `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${ELEVENLABS_AGENT_ID}`,
-        {
-          method: 'GET',
-          headers: {
-            'xi-api-key': ELEVENLABS_API_KEY
-          }
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`Failed to get signed URL: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.signed_url;
-    } catch (error) {
-      console.error("Error getting signed URL:", error);
-      throw error;
+  // Load the call session and resolve who is calling before the agent starts
+  async function loadSession(start) {
+    const session = await sessions.get(start.customParameters?.session_id);
+    if (session && callerLookup.enabled) {
+      session.caller = await callerLookup.lookup(session.from);
     }
+    return session;
   }
 
   // Route to handle incoming calls from Twilio
-  fastify.all("/incoming-call-eleven", async (request, reply) => {
-    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-      <Response>
-        <Connect>
-          <Stream url="wss://${request.headers.host}/media-stream" />
-        </Connect>
-      </Response>`;
+  const webhookOptions = { preHandler: security.verifyWebhook };
+  fastify.all("/incoming-call-eleven", webhookOptions, async (request, reply) => {
+    const params = request.method === "POST" ? request.body || {} : request.query;
+    const { CallSid: callSid, To: to, From: from } = params;
+
+    const route = resolveInboundRoute(routes, { to, from });
+    if (route) {
+      console.log(`[Inbound] Call ${callSid} to ${to} matched route for agent ${route.agent_id || "default"}`);
+    }
+
+    if (callSid) {
+      await callRecords.upsert(callSid, {
+        direction: "inbound",
+        from,
+        to,
+        agentId: route?.agent_id || config.elevenLabs.agentId,
+        createdAt: new Date().toISOString(),
+      });
+    }
+
+    const sessionId = await sessions.create({
+      from,
+      to,
+      agentId: route?.agent_id || config.elevenLabs.agentId,
+      overrides: {
+        prompt: route?.prompt,
+        first_message: route?.first_message,
+        language: route?.language,
+        voice_id: route?.voice_id,
+        dynamic_variables: route?.dynamic_variables,
+      },
+    });
+
+    const twimlResponse = connectStreamTwiml(
+      mediaStreamUrl(request, "/media-stream", config.twilio.publicBaseUrl),
+      {
+        stream_token: security.issueStreamToken(callSid),
+        session_id: sessionId,
+      }
+    );
 
     reply.type("text/xml").send(twimlResponse);
   });
 
   // WebSocket route for handling media streams from Twilio
   fastify.register(async (fastifyInstance) => {
-    fastifyInstance.get("/media-stream", { websocket: true }, async (connection, req) => {
+    fastifyInstance.get("/media-stream", { websocket: true }, (connection, req) => {
       console.info("[Server] Twilio connected to media stream.");
-
-      let streamSid = null;
-      let elevenLabsWs = null;
-
-      try {
-        // Get authenticated WebSocket URL
-        const signedUrl = await getSignedUrl();
-
-        // Connect to ElevenLabs using the signed URL
-        elevenLabsWs = new WebSocket(signedUrl);
-
-        // Handle open event for ElevenLabs WebSocket
-        elevenLabsWs.on("open", () => {
-          console.log("[II] Connected to Conversational AI.");
-        });
-
-        // Handle messages from ElevenLabs
-        elevenLabsWs.on("message", (data) => {
-          try {
-            const message = JSON.parse(data);
-            handleElevenLabsMessage(message, connection);
-          } catch (error) {
-            console.error("[II] Error parsing message:", error);
-          }
-        });
-
-        // Handle errors from ElevenLabs WebSocket
-        elevenLabsWs.on("error", (error) => {
-          console.error("[II] WebSocket error:", error);
-        });
-
-        // Handle close event for ElevenLabs WebSocket
-        elevenLabsWs.on("close", () => {
-          console.log("[II] Disconnected.");
-        });
-
-        // Function to handle messages from ElevenLabs
-        const handleElevenLabsMessage = (message, connection) => {
-          switch (message.type) {
-            case "conversation_initiation_metadata":
-              console.info("[II] Received conversation initiation metadata.");
-              break;
-            case "audio":
-              if (message.audio_event?.audio_base_64) {
-                const audioData = {
-                  event: "media",
-                  streamSid,
-                  media: {
-                    payload: message.audio_event.audio_base_64,
-                  },
-                };
-                connection.send(JSON.stringify(audioData));
-              }
-              break;
-            case "interruption":
-              connection.send(JSON.stringify({ event: "clear", streamSid }));
-              break;
-            case "ping":
-              if (message.ping_event?.event_id) {
-                const pongResponse = {
-                  type: "pong",
-                  event_id: message.ping_event.event_id,
-                };
-                elevenLabsWs.send(JSON.stringify(pongResponse));
-              }
-              break;
-          }
-        };
-
-        // Handle messages from Twilio
-        connection.on("message", async (message) => {
-          try {
-            const data = JSON.parse(message);
-            switch (data.event) {
-              case "start":
-                streamSid = data.start.streamSid;
-                console.log(`[Twilio] Stream started with ID: ${streamSid}`);
-                break;
-              case "media":
-                if (elevenLabsWs && elevenLabsWs.readyState === WebSocket.OPEN) {
-                  const audioMessage = {
-                    user_audio_chunk: Buffer.from(
-                      data.media.payload,
-                      "base64"
-                    ).toString("base64"),
-                  };
-                  elevenLabsWs.send(JSON.stringify(audioMessage));
-                }
-                break;
-              case "stop":
-                if (elevenLabsWs) {
-                  elevenLabsWs.close();
-                }
-                break;
-              default:
-                console.log(`[Twilio] Received unhandled event: ${data.event}`);
-            }
-          } catch (error) {
-            console.error("[Twilio] Error processing message:", error);
-          }
-        });
-
-        // Handle close event from Twilio
-        connection.on("close", () => {
-          if (elevenLabsWs) {
-            elevenLabsWs.close();
-          }
-          console.log("[Twilio] Client disconnected");
-        });
-
-        // Handle errors from Twilio WebSocket
-        connection.on("error", (error) => {
-          console.error("[Twilio] WebSocket error:", error);
-          if (elevenLabsWs) {
-            elevenLabsWs.close();
-          }
-        });
-
-      } catch (error) {
-        console.error("[Server] Error initializing conversation:", error);
-        if (elevenLabsWs) {
-          elevenLabsWs.close();
-        }
-        connection.socket.close();
-      }
+      const baseUrl = webhookUrl(req, "", config.twilio.publicBaseUrl);
+
+      const bridge = new CallBridge(connection, {
+        label: "Inbound",
+        getConversationUrl: (session) =>
+          elevenLabs.getConversationUrl(mode, session?.agentId),
+        buildInitialConfig,
+        authorize: (start) =>
+          security.verifyStreamToken(start.customParameters?.stream_token, start.callSid),
+        loadSession,
+        targetLatencyMs: config.audio.targetLatencyMs,
+        reconnect: config.reconnect,
+      });
+
+      attachCallServices(bridge, services, {
+        direction: "inbound",
+        baseUrl,
+        record: config.recording.enabled,
+      });
     });
   });
-}
\ No newline at end of file
+}
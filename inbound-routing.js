@@ -0,0 +1,88 @@
+import fs from "fs";
+import { isE164Number } from "./validation.js";
+
+// Routing table for inbound calls, loaded from the JSON file named by
+// INBOUND_ROUTES_FILE:
+//
+//   {
+//     "routes": [
+//       {
+//         "to": "+14155550100",          // dialed Twilio number, omit for any
+//         "from": "^\\+44",              // optional caller ID regex
+//         "agent_id": "agent_...",       // defaults to ELEVENLABS_AGENT_ID
+//         "prompt": "You are ...",
+//         "first_message": "Thanks for calling ...",
+//         "dynamic_variables": { "business": "Barts Automotive" }
+//       }
+//     ]
+//   }
+//
+// The first route whose "to" and "from" both match wins; calls matching no
+// route use the inbound defaults.
+
+const OVERRIDE_FIELDS = ["prompt", "first_message", "language", "voice_id"];
+
+function parseRoute(route, index) {
+  const where = `route ${index + 1}`;
+
+  if (route === null || typeof route !== "object" || Array.isArray(route)) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (route.to !== undefined && !isE164Number(route.to)) {
+    throw new Error(`${where}: "to" must be an E.164 number`);
+  }
+  if (route.agent_id !== undefined && typeof route.agent_id !== "string") {
+    throw new Error(`${where}: "agent_id" must be a string`);
+  }
+  for (const field of OVERRIDE_FIELDS) {
+    if (route[field] !== undefined && typeof route[field] !== "string") {
+      throw new Error(`${where}: "${field}" must be a string`);
+    }
+  }
+  if (
+    route.dynamic_variables !== undefined &&
+    (route.dynamic_variables === null || typeof route.dynamic_variables !== "object")
+  ) {
+    throw new Error(`${where}: "dynamic_variables" must be an object`);
+  }
+
+  let fromPattern = null;
+  if (route.from !== undefined) {
+    try {
+      fromPattern = new RegExp(route.from);
+    } catch (error) {
+      throw new Error(`${where}: "from" is not a valid regex (${error.message})`);
+    }
+  }
+
+  return { ...route, fromPattern };
+}
+
+// Read and validate the routing table; throws on any problem so a bad file is
+// caught at startup. No file means no routes.
+export function loadInboundRoutes(file) {
+  if (!file) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`INBOUND_ROUTES_FILE could not be read: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed?.routes)) {
+    throw new Error('INBOUND_ROUTES_FILE must contain a "routes" array');
+  }
+
+  return parsed.routes.map(parseRoute);
+}
+
+export function resolveInboundRoute(routes, { to, from }) {
+  return (
+    routes.find(
+      (route) =>
+        (route.to === undefined || route.to === to) &&
+        (!route.fromPattern || route.fromPattern.test(from || ""))
+    ) || null
+  );
+}
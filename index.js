@@ -2,7 +2,13 @@ import Fastify from "fastify";
 import dotenv from "dotenv";
 import fastifyFormBody from "@fastify/formbody";
 import fastifyWs from "@fastify/websocket";
+import { registerInboundRoutes } from './inbound-calls.js';
 import { registerOutboundRoutes } from './outbound-calls.js';
+import { loadCallConfig } from './call-config.js';
+import { registerCallRoutes } from './call-routes.js';
+import { registerCampaignRoutes } from './campaign-routes.js';
+import { registerScheduledCallRoutes } from './scheduled-call-routes.js';
+import { createCallServices } from './call-services.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -25,7 +31,18 @@ fastify.get("/", async (_, reply) => {
 // Start the Fastify server
 const start = async () => {
   try {
-    await registerOutboundRoutes(fastify);
+    const callConfig = loadCallConfig();
+    const services = createCallServices(callConfig);
+
+    if (callConfig.inbound.enabled) {
+      await registerInboundRoutes(fastify, callConfig, services);
+    }
+    if (callConfig.outbound.enabled) {
+      await registerOutboundRoutes(fastify, callConfig, services);
+      await registerCampaignRoutes(fastify, callConfig, services);
+      await registerScheduledCallRoutes(fastify, callConfig, services);
+    }
+    await registerCallRoutes(fastify, callConfig, services);
 
     // Start listening
     await fastify.listen({ port: PORT, host: '0.0.0.0' });
@@ -1,109 +1,158 @@
-import WebSocket from "ws";
-import Twilio from "twilio";
-
-export function registerOutboundRoutes(fastify) {
-  // Check for required environment variables
-  const {
-    ELEVENLABS_API_KEY,
-    ELEVENLABS_AGENT_ID,
-    TWILIO_ACCOUNT_SID,
-    TWILIO_AUTH_TOKEN,
-    TWILIO_PHONE_NUMBER,
-  } = process.env;
-
-  if (
-    !ELEVENLABS_API_KEY ||
-    !ELEVENLABS_AGENT_ID ||
-    !TWILIO_ACCOUNT_SID ||
-    !TWILIO_AUTH_TOKEN ||
-    !TWILIO_PHONE_NUMBER
-  ) {
-    console.error("Missing required environment variables");
-    throw new Error("Missing required environment variables");
-  }
-
-  // Initialize Twilio client
-  const twilioClient = new Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-
-  // Helper function to get signed URL for authenticated conversations
-  async function getSignedUrl() {
-    try {
-      const response = await fetch(
-        `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${ELEVENLABS_AGENT_ID}`,
-        {
-          method: "GET",
-          headers: {
-            "xi-api-key": ELEVENLABS_API_KEY,
-          },
+import { isMachine, resolveVoicemail, voicemailTwiml } from "./answering-machine.js";
+import { CallBridge } from "./call-bridge.js";
+import { resolveRouteConfig } from "./call-config.js";
+import { attachCallServices, createCallServices } from "./call-services.js";
+import { resolveScheduledAt } from "./scheduled-calls.js";
+import { createTwilioSecurity } from "./twilio-security.js";
+import { buildInitiationData } from "./conversation-overrides.js";
+import { connectStreamTwiml, mediaStreamUrl, webhookUrl } from "./twiml.js";
+import { registerTwilioWebhooks } from "./twilio-webhooks.js";
+import {
+  isE164Number,
+  outboundCallBodySchema,
+  validationErrorResponse,
+} from "./validation.js";
+
+export function registerOutboundRoutes(
+  fastify,
+  config = resolveRouteConfig("outbound"),
+  services = createCallServices(config)
+) {
+  const { mode } = config.outbound;
+  const security = createTwilioSecurity(config.twilio);
+  const { apiKeyGuard, callRecords, sessions, dialer, scheduledCalls, warmup } = services;
+
+  console.info(`[Server] Outbound calls using "${mode}" mode`);
+
+  // Every call is placed with a statusCallback to /call-status
+  registerTwilioWebhooks(fastify, config, services);
+
+  // Dials calls scheduled before a restart as well as new ones
+  scheduledCalls.start();
+
+  // Per-call settings from the session win over the mode's defaults. In
+  // authenticated mode the agent's own prompt (usually prefetched while the
+  // call rang) is re-sent unless the call brings its own.
+  async function buildInitialConfig({ customParameters, session }) {
+    const overrides = session?.overrides || {};
+    const defaults = {};
+
+    switch (mode) {
+      case "authenticated":
+        if (!overrides.prompt) {
+          defaults.prompt = await warmup.agentPrompt(session?.id).catch((error) => {
+            // The agent falls back to its saved prompt
+            console.error("[Outbound] Error fetching the agent's prompt:", error.message);
+            return undefined;
+          });
         }
-      );
+        break;
 
-      if (!response.ok) {
-        throw new Error(`Failed to get signed URL: ${response.statusText}`);
-      }
+      case "custom-prompt":
+      case "make":
+        defaults.prompt = config.outbound.prompt;
+        defaults.first_message = config.outbound.firstMessage;
+        break;
+    }
 
-      const data = await response.json();
-      return data.signed_url;
-    } catch (error) {
-      console.error("Error getting signed URL:", error);
-      throw error;
+    // Reached a voicemail box: open with the voicemail message and let the
+    // prompt know via {{answered_by}}
+    const voicemail = {};
+    if (customParameters?.answered_by === "machine") {
+      voicemail.first_message = session?.voicemail?.message;
     }
+
+    return buildInitiationData({
+      ...defaults,
+      ...overrides,
+      ...voicemail,
+      dynamic_variables: {
+        recipient_number: customParameters?.recipient_number || "",
+        answered_by: customParameters?.answered_by || "",
+        ...overrides.dynamic_variables,
+      },
+    });
   }
 
-  async function fetchElevenLabsPrompt() {
-    try {
-      const response = await fetch(
-        `https://api.elevenlabs.io/v1/convai/agents/${ELEVENLABS_AGENT_ID}`,
-        {
-          method: "GET",
-          headers: {
-            "xi-api-key": ELEVENLABS_API_KEY,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+  // Route to initiate outbound calls. /outgoing-call is the path the old
+  // outbound-normal.js variant used and is kept so existing scenarios work.
+  const initiateCall = async (request, reply) => {
+    const { number, metadata, callback_url: callbackUrl } = request.body || {};
 
-      if (!response.ok) {
-        throw new Error(
-          `Failed to get ElevenLabs prompt: ${response.statusText}`
-        );
-      }
+    if (!number) {
+      return reply.code(400).send({
+        success: false,
+        code: "invalid_request",
+        error: "Phone number is required",
+      });
+    }
 
-      const data = await response.json();
+    if (!isE164Number(number)) {
+      return reply.code(400).send({
+        success: false,
+        code: "invalid_number",
+        error: "Phone number must be in E.164 format, e.g. +14155550123",
+      });
+    }
 
-      // Extract the prompt from the nested object
-      const prompt = data?.conversation_config?.agent?.prompt?.prompt;
+    if (request.validationError) {
+      return reply.code(400).send(validationErrorResponse(request.validationError));
+    }
 
-      if (!prompt) {
-        throw new Error("Prompt not found in response");
-      }
+    if (callbackUrl && !config.callbacks.signingSecret) {
+      return reply.code(400).send({
+        success: false,
+        code: "callbacks_disabled",
+        error: "callback_url needs CALLBACK_SIGNING_SECRET to be configured on the server",
+      });
+    }
 
-      return prompt;
-    } catch (error) {
-      console.error("Error fetching ElevenLabs prompt:", error);
-      return "Error fetching prompt.";
+    const voicemail = pickVoicemail(request.body);
+    if (["agent", "message"].includes(voicemail.action) &&
+        !resolveVoicemail(config.answeringMachine, voicemail).message) {
+      return reply.code(400).send({
+        success: false,
+        code: "invalid_request",
+        error: `voicemail_message is required when machine_detection is ${voicemail.action}`,
+      });
     }
-  }
 
-  // Route to initiate outbound calls
-  fastify.post("/outbound-call", async (request, reply) => {
-    const { number } = request.body;
+    const { scheduledAt, error } = resolveScheduledAt(request.body);
+    if (error) {
+      return reply.code(400).send({ success: false, code: "invalid_schedule", error });
+    }
 
-    if (!number) {
-      return reply.code(400).send({ error: "Phone number is required" });
+    console.log(`[Outbound] Call to ${number} requested by "${request.apiKeyName}"`);
+
+    const callOptions = {
+      number,
+      overrides: pickOverrides(request.body),
+      voicemail,
+      metadata,
+      callbackUrl,
+      requestedBy: request.apiKeyName,
+      baseUrl: webhookUrl(request, "", config.twilio.publicBaseUrl),
+    };
+
+    if (scheduledAt) {
+      const job = await scheduledCalls.schedule({ ...callOptions, scheduledAt });
+      apiKeyGuard.commitCall(request);
+      return reply.code(202).send({
+        success: true,
+        message: "Call scheduled",
+        scheduledCallId: job.id,
+        scheduledAt,
+      });
     }
 
     try {
-      const call = await twilioClient.calls.create({
-        from: TWILIO_PHONE_NUMBER,
-        to: number,
-        url: `https://${request.headers.host}/outbound-call-twiml`,
-      });
+      const { sid } = await dialer.placeCall(callOptions);
+      apiKeyGuard.commitCall(request);
 
       reply.send({
         success: true,
         message: "Call initiated",
-        callSid: call.sid,
+        callSid: sid,
       });
     } catch (error) {
       console.error("Error initiating outbound call:", error);
@@ -112,21 +161,112 @@ export function registerOutboundRoutes(fastify) {
         error: "Failed to initiate call",
       });
     }
-  });
+  };
+
+  // Validation errors are reported by the handler, after the API key check,
+  // so unauthenticated callers learn nothing about the schema
+  const triggerOptions = {
+    preHandler: apiKeyGuard.authorize,
+    schema: { body: outboundCallBodySchema },
+    attachValidation: true,
+  };
+  fastify.post("/outbound-call", triggerOptions, initiateCall);
+  fastify.post("/outgoing-call", triggerOptions, initiateCall);
+
+  // Drop cached agent configurations after editing an agent, so the next
+  // calls pick up the change. ?agent_id= clears one agent, otherwise all.
+  fastify.delete(
+    "/agent-config-cache",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const cleared = warmup.invalidate(request.query.agent_id);
+      console.log(`[Warmup] Cleared ${cleared} cached agent configuration(s)`);
+      reply.send({ success: true, cleared });
+    }
+  );
+
+  function streamTwiml(request, { to, callSid, sessionId, answeredBy }) {
+    return connectStreamTwiml(
+      mediaStreamUrl(request, "/outbound-media-stream", config.twilio.publicBaseUrl),
+      {
+        recipient_number: to,
+        stream_token: security.issueStreamToken(callSid),
+        session_id: sessionId,
+        answered_by: answeredBy,
+      }
+    );
+  }
+
+  // Apply the call's voicemail action when a machine answered; returns the
+  // TwiML to run, or null to carry on with the agent
+  async function handleMachine(request, { callSid, to, answeredBy, sessionId }) {
+    const fields = { answeredBy };
+    if (request.body?.MachineDetectionDuration !== undefined) {
+      fields.machineDetectionDuration = Number(request.body.MachineDetectionDuration);
+    }
 
-  fastify.all("/outbound-call-twiml", async (request, reply) => {
-    const toNumber = request.body.To || request.query.To;
+    const session = await sessions.get(sessionId);
+    const voicemail = session?.voicemail;
+    const handled = isMachine(answeredBy) && voicemail && voicemail.action !== "off";
+    if (handled) fields.voicemail = { action: voicemail.action, at: new Date().toISOString() };
 
-    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-    <Response>
-      <Connect>
-        <Stream url="wss://${request.headers.host}/outbound-media-stream">
-          <Parameter name="recipient_number" value="${toNumber}" />
-        </Stream>
-      </Connect>
-    </Response>`;
+    if (callSid) await callRecords.upsert(callSid, fields);
+    if (!handled) return null;
+
+    console.log(`[Outbound] ${callSid} answered by ${answeredBy}, voicemail action "${voicemail.action}"`);
+    return voicemailTwiml(voicemail, () =>
+      streamTwiml(request, { to, callSid, sessionId, answeredBy: "machine" })
+    );
+  }
 
-    reply.type("text/xml").send(twimlResponse);
+  const outboundTwiml = async (request, reply) => {
+    const toNumber = request.body?.To || request.query.To;
+    const callSid = request.body?.CallSid || request.query.CallSid;
+    const sessionId = request.query.session_id;
+
+    // Synchronous AMD: Twilio says who answered before asking for TwiML
+    const answeredBy = request.body?.AnsweredBy;
+    const machineTwiml =
+      answeredBy && (await handleMachine(request, { callSid, to: toNumber, answeredBy, sessionId }));
+
+    reply
+      .type("text/xml")
+      .send(machineTwiml || streamTwiml(request, { to: toNumber, callSid, sessionId }));
+  };
+
+  // Only Twilio may fetch the TwiML, anything else could mint stream tokens
+  const twimlOptions = { preHandler: security.verifyWebhook };
+  fastify.all("/outbound-call-twiml", twimlOptions, outboundTwiml);
+  fastify.all("/outgoing-call-twiml", twimlOptions, outboundTwiml);
+
+  // Async AMD result (AMD_ASYNC=true). The agent is already talking, so a
+  // machine result replaces the live call's TwiML.
+  fastify.post("/amd-status", twimlOptions, async (request, reply) => {
+    const { CallSid: callSid, AnsweredBy: answeredBy, To: to } = request.body || {};
+
+    if (!callSid || !answeredBy) {
+      return reply.code(400).send({ error: "CallSid and AnsweredBy are required" });
+    }
+
+    // The current stream's session goes when Twilio drops that stream, so
+    // the voicemail agent gets a copy
+    const session = await sessions.get(request.query.session_id);
+    const sessionId = session && isMachine(answeredBy)
+      ? await sessions.create(session)
+      : request.query.session_id;
+
+    try {
+      const twiml = await handleMachine(request, { callSid, to, answeredBy, sessionId });
+      if (twiml) {
+        await services.twilioClient.calls(callSid).update({ twiml });
+      } else if (sessionId !== request.query.session_id) {
+        await sessions.remove(sessionId);
+      }
+    } catch (error) {
+      console.error(`[Outbound] Error applying voicemail action to ${callSid}:`, error);
+    }
+
+    reply.code(204).send();
   });
 
   // WebSocket route for handling media streams
@@ -136,224 +276,45 @@ export function registerOutboundRoutes(fastify) {
       { websocket: true },
       (ws, req) => {
         console.info("[Server] Twilio connected to outbound media stream");
-
-        // Variables to track the call
-        let streamSid = null;
-        let callSid = null;
-        let elevenLabsWs = null;
-        let customParameters = null; // Add this to store parameters
-
-        // Handle WebSocket errors
-        ws.on("error", console.error);
-
-        // Set up ElevenLabs connection
-        const setupElevenLabs = async () => {
-          try {
-            const elevenLabsPrompt = await fetchElevenLabsPrompt();
-            const signedUrl = await getSignedUrl();
-            elevenLabsWs = new WebSocket(signedUrl);
-            const jitterBufferSize = 3; // Adjust based on your needs
-
-            let audioBuffer = [];
-
-            elevenLabsWs.on("open", () => {
-              console.log("[ElevenLabs] Connected to Conversational AI");
-
-              // Send initial configuration with prompt and first message
-              const initialConfig = {
-                type: "conversation_initiation_client_data",
-                conversation_config_override: {
-                  agent: {
-                    prompt: { prompt: elevenLabsPrompt },
-                    response_delay: 1500,
-                  },
-
-                  generation_config: {
-                    chunk_length_schedule: [120, 160, 200], // Adjust these values for your needs
-
-                    latency_optimization_level: "high",
-                  },
-                },
-                dynamic_variables: {
-                  recipient_number: customParameters?.recipient_number || "",
-                },
-              };
-              console.log("[ElevenLabs] Initial config:", initialConfig);
-
-              console.log(
-                "[ElevenLabs] Sending initial config with prompt:",
-                initialConfig.conversation_config_override.agent.prompt.prompt
-              );
-
-              // Send the configuration to ElevenLabs
-              elevenLabsWs.send(JSON.stringify(initialConfig));
-            });
-
-            elevenLabsWs.on("message", (data) => {
-              try {
-                const message = JSON.parse(data);
-                console.log("[ElevenLabs] Received message:", message);
-                if (message.audio?.chunk) {
-                  console.log(
-                    "[ElevenLabs] Audio chunk received, size:",
-                    message.audio.chunk.length
-                  );
-                } else {
-                  console.log("[ElevenLabs] No audio chunk in message");
-                }
-
-                switch (message.type) {
-                  case "conversation_initiation_metadata":
-                    console.log("[ElevenLabs] Received initiation metadata");
-                    break;
-
-                  case "audio":
-                    if (!streamSid) {
-                      console.log(
-                        "[ElevenLabs] StreamSid not available yet, buffering audio..."
-                      );
-                      return;
-                    }
-                    if (streamSid) {
-                      if (message.audio?.chunk) {
-                        audioBuffer.push(message.audio.chunk);
-                        if (audioBuffer.length >= jitterBufferSize) {
-                        while (audioBuffer.length > 0) {
-
-                        const chunk = audioBuffer.shift();
-                        const audioData = {
-                          event: "media",
-                          streamSid,
-                          media: {
-                            payload: chunk,
-                            content_type: "audio/x-mulaw; rate=8000",
-                          },
-                        };
-
-                        ws.send(JSON.stringify(audioData));
-                      }
-                    } 
-                      } else if (message.audio_event?.audio_base_64) {
-                        const audioData = {
-                          event: "media",
-                          streamSid,
-                          media: {
-                            payload: message.audio_event.audio_base_64,
-                          },
-                        };
-                        ws.send(JSON.stringify(audioData));
-                      }
-                    
-                    }
-                 else {
-                      console.log(
-                        "[ElevenLabs] Received audio but no StreamSid yet"
-                      );
-                    }
-                    break;
-
-                  case "interruption":
-                    if (streamSid) {
-                      ws.send(
-                        JSON.stringify({
-                          type: "ignore_interruption",
-                          force_continue: true,
-                          event: "clear",
-                          streamSid,
-                        })
-                      );
-                    }
-                    break;
-
-                  case "ping":
-                    if (message.ping_event?.event_id) {
-                      elevenLabsWs.send(
-                        JSON.stringify({
-                          type: "pong",
-                          event_id: message.ping_event.event_id,
-                        })
-                      );
-                    }
-                    break;
-
-                  default:
-                    console.log(
-                      `[ElevenLabs] Unhandled message type: ${message.type}`
-                    );
-                }
-              } catch (error) {
-                console.error("[ElevenLabs] Error processing message:", error);
-              }
-            });
-
-            elevenLabsWs.on("error", (error) => {
-              console.error("[ElevenLabs] WebSocket error:", error);
-            });
-
-            elevenLabsWs.on("close", () => {
-              console.log("[ElevenLabs] Disconnected");
-            });
-          } catch (error) {
-            console.error("[ElevenLabs] Setup error:", error);
-          }
-        };
-
-        // Set up ElevenLabs connection
-        setupElevenLabs();
-
-        // Handle messages from Twilio
-        ws.on("message", (message) => {
-          try {
-            const msg = JSON.parse(message);
-            console.log(`[Twilio] Received event: ${msg.event}`);
-
-            switch (msg.event) {
-              case "start":
-                streamSid = msg.start.streamSid;
-                callSid = msg.start.callSid;
-                customParameters = msg.start.customParameters; // Store parameters
-                console.log(
-                  `[Twilio] Stream started - StreamSid: ${streamSid}, CallSid: ${callSid}`
-                );
-                console.log("[Twilio] Start parameters:", customParameters);
-                break;
-
-              case "media":
-                if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-                  const audioMessage = {
-                    user_audio_chunk: Buffer.from(
-                      msg.media.payload,
-                      "base64"
-                    ).toString("base64"),
-                    flush: true,
-                  };
-                  elevenLabsWs.send(JSON.stringify(audioMessage));
-                }
-                break;
-
-              case "stop":
-                console.log(`[Twilio] Stream ${streamSid} ended`);
-                if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-                  elevenLabsWs.close();
-                }
-                break;
-
-              default:
-                console.log(`[Twilio] Unhandled event: ${msg.event}`);
-            }
-          } catch (error) {
-            console.error("[Twilio] Error processing message:", error);
-          }
+        const baseUrl = webhookUrl(req, "", config.twilio.publicBaseUrl);
+
+        const bridge = new CallBridge(ws, {
+          label: "Outbound",
+          getConversationUrl: (session) => warmup.conversationUrl(session?.id, mode),
+          buildInitialConfig,
+          authorize: (start) =>
+            security.verifyStreamToken(
+              start.customParameters?.stream_token,
+              start.callSid
+            ),
+          loadSession: (start) => sessions.get(start.customParameters?.session_id),
+          targetLatencyMs: config.audio.targetLatencyMs,
+          reconnect: config.reconnect,
         });
 
-        // Handle WebSocket closure
-        ws.on("close", () => {
-          console.log("[Twilio] Client disconnected");
-          if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-            elevenLabsWs.close();
-          }
+        attachCallServices(bridge, services, {
+          direction: "outbound",
+          baseUrl,
+          record: config.recording.enabled,
         });
       }
     );
   });
 }
+
+// machine_detection / voicemail_message from the /outbound-call body
+function pickVoicemail(body) {
+  return { action: body.machine_detection, message: body.voicemail_message };
+}
+
+// Agent settings from the /outbound-call body that are kept on the session
+function pickOverrides(body) {
+  return {
+    prompt: body.prompt,
+    first_message: body.first_message ?? body.firstMessage,
+    language: body.language,
+    voice_id: body.voice_id,
+    tts: body.tts,
+    dynamic_variables: body.dynamic_variables,
+  };
+}
@@ -0,0 +1,89 @@
+import { machineDetectionParams, resolveVoicemail } from "./answering-machine.js";
+
+// Places outbound calls: stores the call session, asks Twilio to dial and
+// opens the call record. Shared by /outbound-call and the campaign runner.
+// ElevenLabs is prewarmed for the call while it rings.
+export function createOutboundDialer(
+  config,
+  { twilioClient, sessions, callRecords, resultWebhooks, warmup }
+) {
+  const { phoneNumber } = config.twilio;
+
+  // baseUrl is the public https:// origin Twilio calls back on. `record` adds
+  // fields to the call record (e.g. the campaign a call belongs to).
+  // `voicemail` ({ action, message }) overrides the AMD_* defaults.
+  async function placeCall({
+    number,
+    overrides = {},
+    voicemail: requestedVoicemail,
+    metadata,
+    callbackUrl,
+    requestedBy,
+    baseUrl,
+    record = {},
+  }) {
+    const voicemail = resolveVoicemail(config.answeringMachine, requestedVoicemail);
+    let sessionId = null;
+    let call;
+
+    try {
+      sessionId = await sessions.create({
+        from: phoneNumber,
+        to: number,
+        agentId: config.elevenLabs.agentId,
+        overrides,
+        voicemail,
+        metadata,
+      });
+      warmup.prewarm(sessionId, {
+        mode: config.outbound.mode,
+        agentId: config.elevenLabs.agentId,
+      });
+
+      call = await twilioClient.calls.create({
+        from: phoneNumber,
+        to: number,
+        url: `${baseUrl}/outbound-call-twiml?session_id=${sessionId}`,
+        statusCallback: `${baseUrl}/call-status`,
+        statusCallbackMethod: "POST",
+        statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
+        ...machineDetectionParams(voicemail, {
+          async: config.answeringMachine.async,
+          statusCallback: `${baseUrl}/amd-status?session_id=${sessionId}`,
+        }),
+      });
+    } catch (error) {
+      warmup.discard(sessionId);
+      await sessions.remove(sessionId);
+      throw error;
+    }
+
+    // The phone is ringing by now and needs its session, so a failed record
+    // write is logged rather than failing the request
+    try {
+      await callRecords.upsert(call.sid, {
+        direction: "outbound",
+        from: phoneNumber,
+        to: number,
+        agentId: config.elevenLabs.agentId,
+        requestedBy,
+        metadata,
+        callbackUrl,
+        voicemailAction: voicemail.action,
+        createdAt: new Date().toISOString(),
+        ...record,
+      });
+    } catch (error) {
+      console.error(`[Calls] Error recording outbound call ${call.sid}:`, error);
+    }
+
+    // In case a terminal status callback beat the record update
+    resultWebhooks.notify(call.sid).catch((error) =>
+      console.error(`[Callbacks] Error sending result for ${call.sid}:`, error)
+    );
+
+    return call;
+  }
+
+  return { twilioClient, placeCall };
+}
@@ -0,0 +1,148 @@
+// Playout buffer for agent audio on its way to Twilio. ElevenLabs sends audio
+// in bursts of arbitrary size, often faster than real time; the buffer queues
+// it and sends 20ms mu-law frames (160 bytes at 8kHz) at the pace they play,
+// keeping about `targetLatencyMs` of audio queued on Twilio's side.
+//
+// Each utterance waits until `targetLatencyMs` of audio has arrived (or that
+// long has passed) before playing, which absorbs gaps between chunks. Nothing
+// is sent until start() is called, so audio arriving before Twilio's streamSid
+// is known is kept rather than dropped.
+//
+// mark(name) queues a marker behind the audio pushed so far; `sendMark` is
+// called with it right after the frame holding the end of that audio.
+
+const BYTES_PER_MS = 8;
+export const FRAME_MS = 20;
+const FRAME_BYTES = FRAME_MS * BYTES_PER_MS;
+const MULAW_SILENCE = 0xff;
+
+export class PlayoutBuffer {
+  constructor({ send, sendMark = () => {}, targetLatencyMs = 100 }) {
+    this.send = send;
+    this.sendMark = sendMark;
+    this.targetLatencyMs = targetLatencyMs;
+
+    this.chunks = [];
+    this.queuedBytes = 0;
+    this.started = false;
+    this.playing = false;
+    this.firstQueuedAt = 0;
+    this.lastPushAt = 0;
+    // When the audio already sent to Twilio will have finished playing
+    this.sentUntil = 0;
+    this.timer = null;
+  }
+
+  push(audio) {
+    if (audio.length === 0) return;
+
+    const now = Date.now();
+    if (this.queuedBytes === 0) this.firstQueuedAt = now;
+    this.lastPushAt = now;
+    this.chunks.push(audio);
+    this.queuedBytes += audio.length;
+    this.schedule();
+  }
+
+  mark(name) {
+    this.chunks.push({ mark: name });
+    this.schedule();
+  }
+
+  start() {
+    this.started = true;
+    this.schedule();
+  }
+
+  // Drop everything not yet sent, e.g. when the caller interrupts. Returns
+  // the milliseconds of audio dropped.
+  flush() {
+    const droppedMs = this.queuedBytes / BYTES_PER_MS;
+    this.chunks = [];
+    this.queuedBytes = 0;
+    this.playing = false;
+    this.sentUntil = Math.min(this.sentUntil, Date.now());
+    return droppedMs;
+  }
+
+  stop() {
+    this.flush();
+    clearInterval(this.timer);
+    this.timer = null;
+    this.started = false;
+  }
+
+  // When everything queued or sent will have played
+  endsAt() {
+    return Math.max(Date.now(), this.sentUntil) + this.queuedBytes / BYTES_PER_MS;
+  }
+
+  schedule() {
+    if (this.timer || !this.started) return;
+    this.timer = setInterval(() => this.tick(), FRAME_MS);
+    this.tick();
+  }
+
+  tick() {
+    const now = Date.now();
+
+    if (!this.playing) {
+      const buffered = this.queuedBytes / BYTES_PER_MS >= this.targetLatencyMs;
+      const waited = this.queuedBytes > 0 && now - this.firstQueuedAt >= this.targetLatencyMs;
+      if (buffered || waited) this.playing = true;
+    }
+
+    while (this.playing && this.queuedBytes > 0 && this.sentUntil - now < this.targetLatencyMs) {
+      // A short tail is only sent once no more audio seems to be coming
+      if (this.queuedBytes < FRAME_BYTES && now - this.lastPushAt < FRAME_MS * 2) break;
+
+      const { frame, marks } = this.takeFrame();
+      this.send(frame);
+      this.sentUntil = Math.max(this.sentUntil, now) + FRAME_MS;
+      marks.forEach(this.sendMark);
+    }
+
+    // Markers behind audio that has all been sent
+    while (this.queuedBytes === 0 && this.chunks.length > 0) {
+      this.sendMark(this.chunks.shift().mark);
+    }
+
+    if (this.queuedBytes === 0 && this.sentUntil <= now) {
+      this.playing = false;
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  takeFrame() {
+    const frame = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+    const marks = [];
+    let offset = 0;
+
+    while (offset < FRAME_BYTES && this.chunks.length > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.mark !== undefined) {
+        marks.push(this.chunks.shift().mark);
+        continue;
+      }
+
+      const length = Math.min(chunk.length, FRAME_BYTES - offset);
+      chunk.copy(frame, offset, 0, length);
+      offset += length;
+
+      if (length === chunk.length) {
+        this.chunks.shift();
+      } else {
+        this.chunks[0] = chunk.subarray(length);
+      }
+    }
+
+    // Markers right behind the last audio in this frame
+    while (this.chunks[0]?.mark !== undefined) {
+      marks.push(this.chunks.shift().mark);
+    }
+
+    this.queuedBytes -= offset;
+    return { frame, marks };
+  }
+}
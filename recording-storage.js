@@ -0,0 +1,73 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+// Where call recordings are kept. Every adapter implements:
+//
+//   save(name, buffer, contentType) -> { backend, name, url? }
+//   open(recording) -> { stream, size, contentType } | null
+//
+// Adapters that return a `url` from save() are served by redirecting to it.
+//
+// "local" writes under STORAGE_DIR/recordings; "firebase" uploads to Firebase
+// Storage using the already-installed firebase SDK.
+
+const SAFE_NAME = /^[\w-]+\.wav$/;
+
+function assertName(name) {
+  if (!SAFE_NAME.test(name)) throw new Error(`Invalid recording name: ${name}`);
+}
+
+export function createLocalRecordingStorage(dir) {
+  const ready = fsp.mkdir(dir, { recursive: true });
+
+  return {
+    async save(name, buffer) {
+      assertName(name);
+      await ready;
+      await fsp.writeFile(path.join(dir, name), buffer);
+      return { backend: "local", name };
+    },
+
+    async open(recording) {
+      assertName(recording.name);
+      const file = path.join(dir, recording.name);
+      try {
+        const { size } = await fsp.stat(file);
+        return { stream: fs.createReadStream(file), size, contentType: "audio/wav" };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+  };
+}
+
+export function createFirebaseRecordingStorage({ firebaseConfig, prefix = "recordings" }) {
+  // Loaded lazily so deployments using local storage never pull in firebase
+  const storage = (async () => {
+    const { initializeApp } = await import("firebase/app");
+    const { getStorage } = await import("firebase/storage");
+    return getStorage(initializeApp(firebaseConfig, "recordings"));
+  })();
+
+  return {
+    async save(name, buffer, contentType) {
+      assertName(name);
+      const { ref, uploadBytes, getDownloadURL } = await import("firebase/storage");
+      const fileRef = ref(await storage, `${prefix}/${name}`);
+
+      await uploadBytes(fileRef, buffer, { contentType });
+      return { backend: "firebase", name, url: await getDownloadURL(fileRef) };
+    },
+
+    async open() {
+      return null;
+    },
+  };
+}
+
+export function createRecordingStorage({ backend, dir, firebaseConfig }) {
+  if (backend === "firebase") return createFirebaseRecordingStorage({ firebaseConfig });
+  return createLocalRecordingStorage(path.join(dir, "recordings"));
+}
@@ -0,0 +1,172 @@
+import crypto from "crypto";
+import { createKeyedQueue } from "./stores.js";
+
+// Posts the outcome of an outbound call to the callback_url given when it was
+// requested, so make.com and other automations can continue without polling.
+//
+// Each delivery is signed: X-Signature-Timestamp holds the unix time in
+// seconds and X-Signature is "sha256=" + hex HMAC-SHA256 of
+// `${timestamp}.${body}` keyed with CALLBACK_SIGNING_SECRET.
+//
+// The result goes out once the call is over on both sides: Twilio has sent a
+// final status and, for a call that reached the agent, the bridge has saved
+// the end of the call (with its last transcript lines) and, when calls are
+// recorded, the recording. notify() is called for each of those and sends
+// once they are all in.
+
+export const TERMINAL_STATUSES = ["completed", "busy", "no-answer", "failed", "canceled"];
+
+const DELIVERY_ATTEMPTS = 3;
+const ANALYSIS_POLL_ATTEMPTS = 6;
+const ANALYSIS_POLL_INTERVAL_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+export function createResultWebhooks({ secret, publicBaseUrl, elevenLabs, callRecords, recordingEnabled }) {
+  // One notify at a time per call, so a late signal isn't lost while an
+  // earlier one is checking the record
+  const enqueue = createKeyedQueue();
+
+  // ElevenLabs analyses the conversation after it ends; wait for that so the
+  // payload includes the collected data
+  async function fetchConversation(conversationId) {
+    if (!conversationId || !elevenLabs.canFetchConversations) return null;
+
+    for (let attempt = 0; attempt < ANALYSIS_POLL_ATTEMPTS; attempt++) {
+      try {
+        const conversation = await elevenLabs.getConversation(conversationId);
+        if (conversation.status !== "processing") return conversation;
+      } catch (error) {
+        console.error(`[Callbacks] Error fetching conversation ${conversationId}:`, error.message);
+      }
+      await sleep(ANALYSIS_POLL_INTERVAL_MS);
+    }
+    return null;
+  }
+
+  // Prefer the transcript captured live by the bridge, fall back to the one
+  // ElevenLabs keeps
+  function transcriptFor(call, conversation) {
+    if (call.transcript?.length) {
+      return call.transcript.map((entry) => ({
+        role: entry.role,
+        message: entry.text,
+        time_in_call_secs: Math.round(entry.offsetMs / 1000),
+        ...(entry.interrupted && { interrupted: true, heard_message: entry.heardText }),
+      }));
+    }
+
+    return (conversation?.transcript || []).map((turn) => ({
+      role: turn.role,
+      message: turn.message,
+      time_in_call_secs: turn.time_in_call_secs,
+    }));
+  }
+
+  // Firebase recordings have their own URL, local ones are served by
+  // GET /calls/:callSid/recording (API key required)
+  function recordingUrlFor(call) {
+    if (!call.recording) return null;
+    if (call.recording.url) return call.recording.url;
+    return publicBaseUrl ? `${publicBaseUrl.replace(/\/$/, "")}/calls/${call.callSid}/recording` : null;
+  }
+
+  function buildPayload(call, conversation) {
+    const dataCollection = conversation?.analysis?.data_collection_results || {};
+
+    return {
+      event: "call.ended",
+      callSid: call.callSid,
+      status: call.status,
+      duration: call.duration ?? null,
+      direction: call.direction,
+      from: call.from,
+      to: call.to,
+      startedAt: call.startedAt || null,
+      endedAt: call.endedAt || null,
+      endReason: call.endReason || null,
+      endDetail: call.endDetail || null,
+      answeredBy: call.answeredBy || null,
+      voicemailAction: call.voicemail?.action || null,
+      metadata: call.metadata || {},
+      conversationId: call.conversationId || null,
+      timeToFirstAudioMs: call.timings?.firstAudioMs ?? null,
+      transcript: transcriptFor(call, conversation),
+      data: Object.fromEntries(
+        Object.entries(dataCollection).map(([key, result]) => [key, result?.value ?? null])
+      ),
+      summary: conversation?.analysis?.transcript_summary || null,
+      recordingUrl: recordingUrlFor(call),
+    };
+  }
+
+  async function deliver(url, payload) {
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      try {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Signature-Timestamp": timestamp,
+            "X-Signature": signPayload(secret, timestamp, body),
+          },
+          body,
+          signal: AbortSignal.timeout(10000),
+        });
+
+        if (response.ok) return true;
+        console.warn(`[Callbacks] ${url} answered ${response.status} (attempt ${attempt})`);
+      } catch (error) {
+        console.warn(`[Callbacks] Error posting to ${url} (attempt ${attempt}):`, error.message);
+      }
+
+      if (attempt < DELIVERY_ATTEMPTS) await sleep(2000 * 2 ** (attempt - 1));
+    }
+    return false;
+  }
+
+  // A call whose stream started (startedAt) also needs the bridge's writes
+  function isComplete(call) {
+    if (!TERMINAL_STATUSES.includes(call.status)) return false;
+    if (!call.startedAt) return true;
+    return Boolean(call.endedAt) && (!recordingEnabled || call.recording !== undefined);
+  }
+
+  // Send the result for a call once it is complete. Safe to call for every
+  // status callback and bridge write; calls without a callback_url or whose
+  // result was already sent are skipped.
+  function notify(callSid) {
+    return enqueue(callSid, async () => {
+      const call = await callRecords.get(callSid);
+      if (!call?.callbackUrl || call.callback || !isComplete(call)) return;
+
+      await sendResult(callSid, call);
+    });
+  }
+
+  async function sendResult(callSid, call) {
+    await callRecords.upsert(callSid, { callback: { state: "pending" } });
+
+    const conversation = await fetchConversation(call.conversationId);
+    if (conversation?.analysis?.transcript_summary) {
+      await callRecords.upsert(callSid, { summary: conversation.analysis.transcript_summary });
+    }
+
+    const latest = await callRecords.get(callSid);
+    const delivered = await deliver(call.callbackUrl, buildPayload(latest, conversation));
+
+    await callRecords.upsert(callSid, {
+      callback: { state: delivered ? "delivered" : "failed", at: new Date().toISOString() },
+    });
+    console.log(`[Callbacks] Result for ${callSid} ${delivered ? "delivered" : "failed"}`);
+  }
+
+  return { notify };
+}
@@ -0,0 +1,87 @@
+import { resolveScheduledAt } from "./scheduled-calls.js";
+import { rescheduleBodySchema, validationErrorResponse } from "./validation.js";
+
+// Calls queued with scheduled_at / delay_seconds on /outbound-call. Every
+// route needs an outbound API key.
+export function registerScheduledCallRoutes(fastify, config, { scheduledCalls, apiKeyGuard }) {
+  const notFound = (reply) =>
+    reply.code(404).send({ success: false, code: "not_found", error: "Scheduled call not found" });
+
+  const invalidState = (reply, error) =>
+    reply.code(409).send({ success: false, code: "invalid_state", error: error.message });
+
+  // ?status=scheduled|dialing|placed|failed|cancelled, optional
+  fastify.get(
+    "/scheduled-calls",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const { status } = request.query;
+      const jobs = (await scheduledCalls.list())
+        .filter((job) => !status || job.status === status)
+        .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+
+      reply.send({ success: true, scheduledCalls: jobs });
+    }
+  );
+
+  fastify.get(
+    "/scheduled-calls/:id",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      const job = await scheduledCalls.get(request.params.id);
+      if (!job) return notFound(reply);
+
+      reply.send({ success: true, scheduledCall: job });
+    }
+  );
+
+  // Body: { scheduled_at } or { delay_seconds } (counted from now)
+  fastify.patch(
+    "/scheduled-calls/:id",
+    {
+      preHandler: apiKeyGuard.authenticate,
+      schema: { body: rescheduleBodySchema },
+      attachValidation: true,
+    },
+    async (request, reply) => {
+      if (request.validationError) {
+        return reply.code(400).send(validationErrorResponse(request.validationError));
+      }
+
+      const { scheduledAt, error } = resolveScheduledAt(request.body || {});
+      if (error || !scheduledAt) {
+        return reply.code(400).send({
+          success: false,
+          code: "invalid_schedule",
+          error: error || "scheduled_at or delay_seconds is required",
+        });
+      }
+
+      try {
+        const job = await scheduledCalls.reschedule(request.params.id, scheduledAt);
+        if (!job) return notFound(reply);
+
+        reply.send({ success: true, scheduledCall: job });
+      } catch (error) {
+        if (error.code !== "invalid_state") throw error;
+        invalidState(reply, error);
+      }
+    }
+  );
+
+  fastify.delete(
+    "/scheduled-calls/:id",
+    { preHandler: apiKeyGuard.authenticate },
+    async (request, reply) => {
+      try {
+        const job = await scheduledCalls.cancel(request.params.id);
+        if (!job) return notFound(reply);
+
+        reply.send({ success: true, scheduledCall: job });
+      } catch (error) {
+        if (error.code !== "invalid_state") throw error;
+        invalidState(reply, error);
+      }
+    }
+  );
+}
@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import { createKeyedQueue, createStore } from "./stores.js";
+
+// Outbound calls requested for later ("call me back at 3pm"). Jobs are always
+// kept on disk, whatever STORAGE_BACKEND says, so a restart doesn't lose
+// them; the queue is checked every few seconds and due calls are dialled.
+//
+// Job states: scheduled -> dialing -> placed | failed
+//             scheduled -> cancelled
+
+const TICK_MS = 5000;
+const MAX_DELAY_MS = 30 * 24 * 60 * 60 * 1000;
+// Finished jobs are kept this long for GET /scheduled-calls, then dropped
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Work out when to call from a request's `scheduled_at` / `delay_seconds`.
+// Returns { scheduledAt: null } for "call now" and { error } for bad input.
+export function resolveScheduledAt({ scheduled_at: scheduledAt, delay_seconds: delaySeconds }, now = Date.now()) {
+  if (scheduledAt !== undefined && delaySeconds !== undefined) {
+    return { error: "Send either scheduled_at or delay_seconds, not both" };
+  }
+
+  let at;
+  if (scheduledAt !== undefined) {
+    at = new Date(scheduledAt).getTime();
+    if (Number.isNaN(at)) return { error: "scheduled_at must be an ISO 8601 date-time" };
+    if (at <= now) return { error: "scheduled_at must be in the future" };
+  } else if (delaySeconds !== undefined) {
+    at = now + delaySeconds * 1000;
+  } else {
+    return { scheduledAt: null };
+  }
+
+  if (at - now > MAX_DELAY_MS) {
+    return { error: "Calls can be scheduled at most 30 days ahead" };
+  }
+
+  return { scheduledAt: new Date(at).toISOString() };
+}
+
+export function createScheduledCalls({ storage, dialer, tickMs = TICK_MS }) {
+  const store = createStore({ ...storage, backend: "file" }, "scheduled-calls");
+  const enqueue = createKeyedQueue();
+  let timer = null;
+  let ticking = false;
+
+  function update(id, apply) {
+    return enqueue(id, async () => {
+      const job = await store.get(id);
+      if (!job) return null;
+
+      await apply(job);
+      job.updatedAt = new Date().toISOString();
+      await store.set(id, job);
+      return job;
+    });
+  }
+
+  function assertScheduled(job) {
+    if (job.status !== "scheduled") {
+      const error = new Error(`Call is already ${job.status}`);
+      error.code = "invalid_state";
+      throw error;
+    }
+  }
+
+  async function schedule({ scheduledAt, number, overrides, voicemail, metadata, callbackUrl, requestedBy, baseUrl }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: "scheduled",
+      scheduledAt,
+      number,
+      overrides,
+      voicemail,
+      metadata,
+      callbackUrl,
+      requestedBy,
+      baseUrl,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await store.set(job.id, job);
+    console.log(`[Scheduler] Call to ${number} scheduled for ${scheduledAt} (${job.id})`);
+    return job;
+  }
+
+  function reschedule(id, scheduledAt) {
+    return update(id, (job) => {
+      assertScheduled(job);
+      job.scheduledAt = scheduledAt;
+      console.log(`[Scheduler] ${id} moved to ${scheduledAt}`);
+    });
+  }
+
+  function cancel(id) {
+    return update(id, (job) => {
+      assertScheduled(job);
+      job.status = "cancelled";
+      job.cancelledAt = new Date().toISOString();
+      console.log(`[Scheduler] ${id} cancelled`);
+    });
+  }
+
+  function dispatch(id) {
+    return update(id, async (job) => {
+      // Cancelled or rescheduled since the tick looked at it
+      if (job.status !== "scheduled" || new Date(job.scheduledAt) > new Date()) return;
+
+      // Persist "dialing" first: a job found in that state after a restart
+      // may or may not have been called, so it is not dialled again
+      job.status = "dialing";
+      await store.set(id, job);
+
+      try {
+        const call = await dialer.placeCall({
+          number: job.number,
+          overrides: job.overrides,
+          voicemail: job.voicemail,
+          metadata: job.metadata,
+          callbackUrl: job.callbackUrl,
+          requestedBy: job.requestedBy,
+          baseUrl: job.baseUrl,
+          record: { scheduledCallId: id },
+        });
+
+        job.status = "placed";
+        job.callSid = call.sid;
+        job.placedAt = new Date().toISOString();
+        console.log(`[Scheduler] ${id} placed as ${call.sid}`);
+      } catch (error) {
+        console.error(`[Scheduler] ${id} could not call ${job.number}:`, error.message);
+        job.status = "failed";
+        job.error = error.message;
+      }
+    });
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      const now = Date.now();
+
+      for (const job of await store.list()) {
+        if (job.status === "scheduled" && new Date(job.scheduledAt).getTime() <= now) {
+          await dispatch(job.id).catch((error) =>
+            console.error(`[Scheduler] Error dispatching ${job.id}:`, error)
+          );
+        } else if (job.status !== "scheduled" && now - new Date(job.updatedAt).getTime() > RETENTION_MS) {
+          await store.delete(job.id);
+        }
+      }
+    } catch (error) {
+      console.error("[Scheduler] Error running scheduled calls:", error);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // Jobs left "dialing" by a crash are marked failed rather than retried,
+  // so nobody gets called twice
+  async function recover() {
+    for (const job of await store.list()) {
+      if (job.status !== "dialing") continue;
+
+      await update(job.id, (stale) => {
+        stale.status = "failed";
+        stale.error = "Server stopped while the call was being placed";
+      });
+      console.warn(`[Scheduler] ${job.id} was interrupted while dialing, marked failed`);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, tickMs);
+    timer.unref();
+    recover()
+      .catch((error) => console.error("[Scheduler] Error recovering jobs:", error))
+      .then(tick);
+  }
+
+  return {
+    schedule,
+    reschedule,
+    cancel,
+    get: (id) => store.get(id),
+    list: () => store.list(),
+    start,
+  };
+}
@@ -0,0 +1,109 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Minimal async key-value stores for server-side state (call sessions, call
+// records, ...). Every backend implements get / set / delete / list so the
+// features built on them do not care where the data lives.
+
+const SAFE_KEY = /^[\w-]+$/;
+
+function assertKey(key) {
+  if (typeof key !== "string" || !SAFE_KEY.test(key)) {
+    throw new Error(`Invalid store key: ${key}`);
+  }
+}
+
+export class MemoryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async get(key) {
+    return this.items.get(key) ?? null;
+  }
+
+  async set(key, value) {
+    assertKey(key);
+    this.items.set(key, value);
+  }
+
+  async delete(key) {
+    this.items.delete(key);
+  }
+
+  async list() {
+    return [...this.items.values()];
+  }
+}
+
+// One JSON file per key under `dir`. Survives restarts; fine for the volume a
+// single server handles, not meant to be shared between instances.
+export class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = fs.mkdir(dir, { recursive: true });
+  }
+
+  file(key) {
+    assertKey(key);
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    if (typeof key !== "string" || !SAFE_KEY.test(key)) return null;
+    await this.ready;
+    try {
+      return JSON.parse(await fs.readFile(this.file(key), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    await this.ready;
+    // Write then rename so a crash never leaves a half-written record
+    const file = this.file(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(value));
+    await fs.rename(temp, file);
+  }
+
+  async delete(key) {
+    await this.ready;
+    await fs.rm(this.file(key), { force: true });
+  }
+
+  async list() {
+    await this.ready;
+    const files = (await fs.readdir(this.dir)).filter((file) => file.endsWith(".json"));
+    const values = await Promise.all(
+      files.map((file) => this.get(path.basename(file, ".json")))
+    );
+    return values.filter(Boolean);
+  }
+}
+
+// Store for one kind of record, e.g. createStore(config.storage, "sessions")
+export function createStore({ backend, dir }, name) {
+  if (backend === "file") return new FileStore(path.join(dir, name));
+  return new MemoryStore();
+}
+
+// Runs tasks for the same key one after another, so read-modify-write updates
+// of a record never interleave. Tasks for different keys run freely.
+export function createKeyedQueue() {
+  const pending = new Map(); // key -> promise of the last queued task
+
+  return function enqueue(key, task) {
+    const previous = pending.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    pending.set(key, next);
+    next.finally(() => {
+      if (pending.get(key) === next) pending.delete(key);
+    }).catch(() => {});
+
+    return next;
+  };
+}
@@ -0,0 +1,46 @@
+// Formatting for the per-call transcripts stored on call records. Entries are
+// { role: "user" | "agent", text, at, offsetMs } with offsetMs counted from
+// the start of the media stream. Agent entries cut off by the caller also carry
+// { interrupted: true, heardText, heardMs }; the text and subtitle formats
+// show only the part that was heard.
+
+const SPEAKERS = { user: "Caller", agent: "Agent" };
+
+// Subtitle length for the last line, or when the next line starts sooner
+const MIN_CUE_MS = 1000;
+const LAST_CUE_MS = 3000;
+
+function speaker(entry) {
+  return SPEAKERS[entry.role] || entry.role;
+}
+
+function spoken(entry) {
+  if (!entry.interrupted) return entry.text;
+  return entry.heardText ? `${entry.heardText}... [interrupted]` : "[interrupted]";
+}
+
+export function transcriptToText(entries) {
+  return entries.map((entry) => `[${entry.at}] ${speaker(entry)}: ${spoken(entry)}`).join("\n");
+}
+
+function srtTime(ms) {
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(total % 1000, 3)}`;
+}
+
+// Each cue lasts until the next entry starts
+export function transcriptToSrt(entries) {
+  return entries
+    .map((entry, index) => {
+      const next = entries[index + 1];
+      const end = next
+        ? Math.max(next.offsetMs, entry.offsetMs + MIN_CUE_MS)
+        : entry.offsetMs + LAST_CUE_MS;
+      return `${index + 1}\n${srtTime(entry.offsetMs)} --> ${srtTime(end)}\n${speaker(entry)}: ${spoken(entry)}\n`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,170 @@
+import Twilio from "twilio";
+
+// Warm transfer from the agent to a person. The agent calls a client tool
+// (transfer_to_human by default, with an optional `summary` parameter) and
+// the live call is given new TwiML that dials TRANSFER_NUMBER or joins
+// TRANSFER_QUEUE. Before a dialled person is connected they hear a whisper:
+// the agent's summary and the conversation so far.
+
+const { VoiceResponse } = Twilio.twiml;
+
+// Let the agent finish its "let me get someone for you" before the switch:
+// give audio still on its way a moment to arrive, then wait until everything
+// sent has played (plus a margin for Twilio's marks), up to a cap
+const HANDOFF_SETTLE_MS = 500;
+const HANDOFF_MAX_WAIT_MS = 10000;
+const PLAYBACK_MARGIN_MS = 250;
+// Keeps the whisper short enough to listen to (and under <Say>'s limit); the
+// latest turns are kept when the conversation is longer
+const WHISPER_TRANSCRIPT_CHARS = 1500;
+const SPEAKERS = { user: "Caller", agent: "Assistant" };
+const NO_ANSWER_MESSAGE = "Sorry, nobody is available to take your call right now. Please try again later.";
+
+function sentence(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+export function buildWhisper({ summary, transcript = [] }) {
+  const parts = ["Transferred call from the assistant."];
+  if (summary) parts.push(`Summary: ${sentence(summary)}`);
+
+  // The assistant's cut-off lines as far as the caller heard them
+  const lines = transcript
+    .map((entry) => ({
+      speaker: SPEAKERS[entry.role] || entry.role,
+      text: entry.interrupted ? entry.heardText : entry.text,
+    }))
+    .filter((line) => line.text)
+    .map((line) => `${line.speaker}: ${sentence(line.text)}`);
+
+  const kept = [];
+  let length = 0;
+  for (const line of lines.reverse()) {
+    if (length + line.length > WHISPER_TRANSCRIPT_CHARS) break;
+    kept.unshift(line);
+    length += line.length + 1;
+  }
+
+  if (kept.length > 0) {
+    const intro = kept.length < lines.length ? "The end of the conversation so far:" : "The conversation so far:";
+    parts.push(`${intro} ${kept.join(" ")}`);
+  }
+
+  return parts.join(" ");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForPlayback(bridge) {
+  const deadline = Date.now() + HANDOFF_MAX_WAIT_MS;
+  let waitMs = HANDOFF_SETTLE_MS;
+
+  while (waitMs > 0 && !bridge.ended) {
+    await sleep(Math.min(waitMs, deadline - Date.now()));
+    if (Date.now() >= deadline) return;
+
+    const playingMs = bridge.playbackEndsAt - Date.now();
+    waitMs = playingMs > 0 ? playingMs + PLAYBACK_MARGIN_MS : 0;
+  }
+}
+
+// TwiML that hands the caller over, after reading them `message` if given.
+// Queued callers wait for whoever dequeues them; there is no whisper step on
+// that side.
+export function transferTwiml({ number, queue }, whisperUrl, message) {
+  const response = new VoiceResponse();
+  if (message) response.say(message);
+
+  if (queue) {
+    response.enqueue(queue);
+    return response.toString();
+  }
+
+  const dial = response.dial({ answerOnBridge: true });
+  if (number.startsWith("sip:")) {
+    dial.sip({ url: whisperUrl }, number);
+  } else {
+    dial.number({ url: whisperUrl }, number);
+  }
+
+  // Only reached when nobody answered
+  response.say(NO_ANSWER_MESSAGE);
+  response.hangup();
+  return response.toString();
+}
+
+// Registers the transfer tool on the client tool registry
+export function createTransfers({ transfer }, { callRecords, tools, twilioClient }) {
+  const enabled = Boolean(transfer.number || transfer.queue);
+  const target = transfer.queue ? `queue ${transfer.queue}` : transfer.number;
+
+  function patchTransfer(callSid, fields) {
+    return callRecords
+      .get(callSid)
+      .then((call) => callRecords.upsert(callSid, { transfer: { ...call?.transfer, ...fields } }));
+  }
+
+  // Record the transfer and give the live call its TwiML; throws if Twilio
+  // refuses. Ending the bridge is up to the caller.
+  async function transferCall(callSid, { summary = "", transcript, baseUrl, message }) {
+    console.log(`[Transfer] Transferring ${callSid} to ${target}`);
+    await callRecords.upsert(callSid, {
+      transfer: {
+        target,
+        summary,
+        whisper: buildWhisper({ summary, transcript }),
+        status: "requested",
+        requestedAt: new Date().toISOString(),
+      },
+    });
+
+    try {
+      await twilioClient.calls(callSid).update({
+        twiml: transferTwiml(transfer, `${baseUrl}/transfer-whisper?call_sid=${callSid}`, message),
+      });
+    } catch (error) {
+      console.error(`[Transfer] Error transferring ${callSid}:`, error);
+      await patchTransfer(callSid, { status: "failed", error: error.message });
+      throw error;
+    }
+
+    await patchTransfer(callSid, { status: "transferred", transferredAt: new Date().toISOString() });
+  }
+
+  // The whisper is built once the agent's handoff line has played: agent
+  // turns only reach the transcript then
+  async function handOff(parameters, { callSid, baseUrl, bridge }) {
+    const summary = typeof parameters.summary === "string" ? parameters.summary : "";
+
+    if (!enabled) {
+      throw new Error("Transfer to a human is not available on this line");
+    }
+
+    await waitForPlayback(bridge);
+    if (bridge.ended) {
+      throw new Error("The call ended before it could be transferred");
+    }
+
+    try {
+      await transferCall(callSid, { summary, transcript: bridge.transcript, baseUrl });
+    } catch {
+      // Still on the line with the agent, which can tell the caller
+      throw new Error("The transfer failed, nobody could be reached");
+    }
+
+    // Twilio drops the stream itself; this records why
+    bridge.end("transfer");
+    return `Transferred to ${target}`;
+  }
+
+  tools.register(transfer.toolName, handOff);
+
+  // TwiML the human hears before being connected
+  function whisperTwiml(call) {
+    const response = new VoiceResponse();
+    if (call?.transfer?.whisper) response.say(call.transfer.whisper);
+    return response.toString();
+  }
+
+  return { enabled, transferCall, whisperTwiml };
+}
@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import Twilio from "twilio";
+
+// Twilio request authentication: X-Twilio-Signature checks for the TwiML
+// webhooks and short-lived, single-use tokens that prove a media stream was
+// started from TwiML this server generated.
+
+const STREAM_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+export function createTwilioSecurity({ authToken, validateSignature = true, publicBaseUrl }) {
+  // Nonces of stream tokens that have already been accepted, kept until the
+  // token would have expired anyway.
+  const usedNonces = new Map();
+
+  // Twilio signs the URL it requested, which is the public one. Behind a proxy
+  // request.headers.host may not match, so PUBLIC_BASE_URL wins when set.
+  function webhookUrl(request) {
+    const base = publicBaseUrl || `https://${request.headers.host}`;
+    return `${base.replace(/\/$/, "")}${request.url}`;
+  }
+
+  // Fastify preHandler rejecting webhooks without a valid X-Twilio-Signature
+  async function verifyWebhook(request, reply) {
+    if (!validateSignature) return;
+
+    const signature = request.headers["x-twilio-signature"];
+    const params = request.method === "POST" ? request.body || {} : {};
+
+    if (
+      !signature ||
+      !Twilio.validateRequest(authToken, signature, webhookUrl(request), params)
+    ) {
+      console.warn(`[Security] Rejected unsigned Twilio webhook ${request.method} ${request.url}`);
+      return reply.code(403).send({ error: "Invalid Twilio signature" });
+    }
+  }
+
+  function sign(value) {
+    return crypto.createHmac("sha256", authToken).update(value).digest("base64url");
+  }
+
+  // Token to embed as a <Parameter> in the Stream TwiML, bound to the call
+  function issueStreamToken(callSid = "") {
+    if (!validateSignature) return "";
+
+    const expires = Date.now() + STREAM_TOKEN_TTL_MS;
+    const nonce = crypto.randomBytes(12).toString("base64url");
+    const payload = `${expires}.${nonce}`;
+    return `${payload}.${sign(`${payload}.${callSid}`)}`;
+  }
+
+  // Check the token from the stream's "start" event. Each token is accepted
+  // once; replaying it for a second stream fails.
+  function verifyStreamToken(token, callSid = "") {
+    if (!validateSignature) return true;
+    if (typeof token !== "string") return false;
+
+    const [expires, nonce, signature] = token.split(".");
+    if (!expires || !nonce || !signature) return false;
+
+    const expected = sign(`${expires}.${nonce}.${callSid}`);
+    const valid =
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+    const now = Date.now();
+    if (!valid || Number(expires) < now || usedNonces.has(nonce)) return false;
+
+    for (const [usedNonce, usedExpires] of usedNonces) {
+      if (usedExpires < now) usedNonces.delete(usedNonce);
+    }
+    usedNonces.set(nonce, Number(expires));
+
+    return true;
+  }
+
+  return { verifyWebhook, issueStreamToken, verifyStreamToken };
+}
@@ -0,0 +1,49 @@
+import { createTwilioSecurity } from "./twilio-security.js";
+
+// Webhooks Twilio calls about calls already under way: the statusCallback
+// and the whisper played to whoever takes a transfer. The inbound and
+// outbound routes both cause these calls and either may be mounted alone
+// (including through the forTheLegends shims), so each registers them and
+// only the first registration on a Fastify instance takes effect.
+const registered = new WeakSet();
+
+export function registerTwilioWebhooks(fastify, config, { callRecords, resultWebhooks, transfers }) {
+  if (registered.has(fastify)) return;
+  registered.add(fastify);
+
+  const security = createTwilioSecurity(config.twilio);
+
+  // Twilio statusCallback for every call (set on calls.create for outbound,
+  // on the phone number's configuration for inbound)
+  fastify.post(
+    "/call-status",
+    { preHandler: security.verifyWebhook },
+    async (request, reply) => {
+      const { CallSid: callSid, CallStatus: status } = request.body || {};
+
+      if (!callSid || !status) {
+        return reply.code(400).send({ error: "CallSid and CallStatus are required" });
+      }
+
+      console.log(`[Calls] ${callSid} is ${status}`);
+      await callRecords.recordStatus(callSid, request.body);
+
+      // Runs in the background; it may wait for ElevenLabs' call analysis
+      resultWebhooks.notify(callSid).catch((error) =>
+        console.error(`[Callbacks] Error sending result for ${callSid}:`, error)
+      );
+
+      reply.code(204).send();
+    }
+  );
+
+  // Whisper played to the person taking a transfer before they are connected
+  fastify.all(
+    "/transfer-whisper",
+    { preHandler: security.verifyWebhook },
+    async (request, reply) => {
+      const call = await callRecords.get(request.query.call_sid);
+      reply.type("text/xml").send(transfers.whisperTwiml(call));
+    }
+  );
+}
@@ -0,0 +1,34 @@
+import Twilio from "twilio";
+
+// TwiML is always built through Twilio's VoiceResponse so every attribute is
+// XML-escaped; never interpolate request data into TwiML strings.
+
+const { VoiceResponse } = Twilio.twiml;
+
+// https:// URL of one of our webhook routes, for Twilio to call back
+export function webhookUrl(request, path, publicBaseUrl) {
+  const origin = publicBaseUrl
+    ? publicBaseUrl.replace(/\/$/, "")
+    : `https://${request.headers.host}`;
+  return `${origin}${path}`;
+}
+
+// wss:// URL of one of our media-stream routes, preferring the configured
+// public origin over the request's Host header.
+export function mediaStreamUrl(request, path, publicBaseUrl) {
+  return webhookUrl(request, path, publicBaseUrl).replace(/^https:/, "wss:");
+}
+
+// <Connect><Stream> response passing each non-empty entry of `parameters` as a
+// Stream <Parameter>, which the bridge receives as start.customParameters.
+export function connectStreamTwiml(url, parameters = {}) {
+  const response = new VoiceResponse();
+  const stream = response.connect().stream({ url });
+
+  for (const [name, value] of Object.entries(parameters)) {
+    if (value === undefined || value === null || value === "") continue;
+    stream.parameter({ name, value: String(value) });
+  }
+
+  return response.toString();
+}
@@ -0,0 +1,141 @@
+// Request validation helpers shared by the call routes.
+
+import { VOICEMAIL_ACTIONS } from "./answering-machine.js";
+
+// E.164: a "+", a non-zero country code digit, up to 15 digits in total
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+export function isE164Number(value) {
+  return typeof value === "string" && E164_PATTERN.test(value);
+}
+
+// Per-call agent settings accepted by /outbound-call and stored on the call
+// session. Mirrors what buildInitiationData() turns into overrides.
+const agentOverrideProperties = {
+  prompt: { type: "string", minLength: 1, maxLength: 20000 },
+  first_message: { type: "string", maxLength: 2000 },
+  language: { type: "string", pattern: "^[a-z]{2}(-[A-Za-z]{2,4})?$" },
+  voice_id: { type: "string", pattern: "^[A-Za-z0-9]{1,64}$" },
+  tts: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      stability: { type: "number", minimum: 0, maximum: 1 },
+      similarity_boost: { type: "number", minimum: 0, maximum: 1 },
+      speed: { type: "number", minimum: 0.7, maximum: 1.2 },
+    },
+  },
+  dynamic_variables: {
+    type: "object",
+    maxProperties: 100,
+    propertyNames: { pattern: "^[A-Za-z_][A-Za-z0-9_]{0,63}$" },
+    additionalProperties: {
+      anyOf: [{ type: "string" }, { type: "number" }, { type: "boolean" }],
+    },
+  },
+};
+
+// Either an absolute time or a delay (at most 30 days) to place the call later
+const scheduleProperties = {
+  scheduled_at: { type: "string", format: "date-time" },
+  delay_seconds: { type: "integer", minimum: 1, maximum: 30 * 24 * 60 * 60 },
+};
+
+// What to do when the call is answered by a machine (see answering-machine.js)
+const voicemailProperties = {
+  machine_detection: { enum: VOICEMAIL_ACTIONS },
+  voicemail_message: { type: "string", minLength: 1, maxLength: 2000 },
+};
+
+export const outboundCallBodySchema = {
+  type: "object",
+  required: ["number"],
+  properties: {
+    number: { type: "string" },
+    ...agentOverrideProperties,
+    // Legacy spelling used by the old outbound-normal.js variant
+    firstMessage: agentOverrideProperties.first_message,
+    metadata: { type: "object" },
+    callback_url: { type: "string", pattern: "^https://[^\\s]+$", maxLength: 2048 },
+    ...voicemailProperties,
+    ...scheduleProperties,
+  },
+};
+
+// PATCH /scheduled-calls/:id
+export const rescheduleBodySchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: scheduleProperties,
+};
+
+const clockTime = { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" };
+
+// POST /campaigns. Contacts come as CSV text with a `number` column; every
+// other column becomes a dynamic variable for that contact's call.
+export const campaignBodySchema = {
+  type: "object",
+  required: ["contacts_csv"],
+  properties: {
+    name: { type: "string", maxLength: 200 },
+    contacts_csv: { type: "string", minLength: 1 },
+    concurrency: { type: "integer", minimum: 1, maximum: 20 },
+    window: {
+      type: "object",
+      additionalProperties: false,
+      required: ["start", "end"],
+      properties: {
+        timezone: { type: "string" },
+        start: clockTime,
+        end: clockTime,
+        // ISO weekdays, 1 = Monday ... 7 = Sunday
+        days: {
+          type: "array",
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: "integer", minimum: 1, maximum: 7 },
+        },
+      },
+    },
+    retry: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        max_attempts: { type: "integer", minimum: 1, maximum: 10 },
+        delay_minutes: { type: "integer", minimum: 1, maximum: 10080 },
+        on: {
+          type: "array",
+          uniqueItems: true,
+          items: { enum: ["no-answer", "busy", "failed"] },
+        },
+      },
+    },
+    ...agentOverrideProperties,
+    ...voicemailProperties,
+    metadata: { type: "object" },
+    callback_url: outboundCallBodySchema.properties.callback_url,
+  },
+};
+
+// Turn an Ajv validation error into the `{ success, code, error }` shape the
+// call routes use for client errors.
+export function validationErrorResponse(error) {
+  const errors = error.validation || [];
+  const [first] = errors;
+  const field = first?.instancePath?.replace(/^\//, "").replace(/\//g, ".") || "body";
+
+  // anyOf reports one "must be <type>" per branch; list them together
+  let message = first?.message || error.message;
+  if (errors.some((entry) => entry.keyword === "anyOf")) {
+    const types = errors
+      .filter((entry) => entry.keyword === "type" && entry.instancePath === first.instancePath)
+      .map((entry) => entry.params.type);
+    message = `must be one of: ${types.join(", ")}`;
+  }
+
+  return {
+    success: false,
+    code: "invalid_request",
+    error: `${field} ${message}`,
+  };
+}